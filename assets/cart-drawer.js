@@ -90,7 +90,7 @@ class CartDrawer extends HTMLElement {
   }
 
   getSectionInnerHTML(html, selector = '.shopify-section') {
-    return new DOMParser().parseFromString(html, 'text/html').querySelector(selector).innerHTML;
+    return SectionRenderer.getSectionInnerHTML(html, selector);
   }
 
   getSectionsToRender() {
@@ -106,7 +106,7 @@ class CartDrawer extends HTMLElement {
   }
 
   getSectionDOM(html, selector = '.shopify-section') {
-    return new DOMParser().parseFromString(html, 'text/html').querySelector(selector);
+    return SectionRenderer.parse(html).querySelector(selector);
   }
 
   setActiveElement(element) {
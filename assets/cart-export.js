@@ -0,0 +1,280 @@
+/**
+ * Exports the cart so buyers can send it to their purchasing department before checking out: a CSV of the lines, or a
+ * printable quote with the company header, quote number and expiry date from the "Cart export and quotes" settings.
+ *
+ * Lines come from `/cart.js`. Volume-break prices come from the `<volume-pricing data-variant-id>` lists already
+ * rendered next to the quantity inputs (cart page, cart drawer, quick order list), because `/cart.js` only has the
+ * price of the current quantity. Lines without a list on the page are exported without a volume-break price.
+ */
+class CartExport {
+  static FORMATS = {
+    csv: 'csv',
+    quote: 'quote',
+  };
+
+  static get config() {
+    return {
+      companyName: '',
+      companyDetails: '',
+      logo: null,
+      validityDays: 30,
+      stylesheet: null,
+      ...window.cartExportConfig,
+    };
+  }
+
+  /**
+   * Resolves with the cart and its lines, limited to one product when `productId` is set (quick order lists).
+   * Prices are in cents; `volumePrice` is null when no price break applies to the line quantity.
+   */
+  static async getLines({ productId = null } = {}) {
+    const cart = await fetch(`${routes.cart_url}.js`).then((response) => response.json());
+    const items = productId ? cart.items.filter((item) => `${item.product_id}` === `${productId}`) : cart.items;
+    if (!items.length) {
+      throw Object.assign(new Error('The cart is empty'), { description: window.cartExportStrings.empty });
+    }
+
+    const volumePricing = CartExport.getVolumePricing();
+    const lines = items.map((item) => {
+      const priceBreaks = volumePricing.get(`${item.variant_id}`) || [];
+      const applicableBreak = priceBreaks.filter(({ minimumQuantity }) => item.quantity >= minimumQuantity).pop();
+
+      return {
+        sku: item.sku || '',
+        title: item.product_title,
+        variant: item.product_has_only_default_variant ? '' : item.variant_title || '',
+        quantity: item.quantity,
+        // the first entry of a volume pricing list is the regular price, `original_price` may already be discounted
+        unitPrice: priceBreaks[0]?.price ?? item.original_price,
+        volumePrice: applicableBreak && applicableBreak !== priceBreaks[0] ? applicableBreak.price : null,
+        lineTotal: item.final_line_price,
+      };
+    });
+
+    return { cart, lines };
+  }
+
+  // variant id => price breaks in ascending minimum quantity
+  static getVolumePricing() {
+    const volumePricing = new Map();
+
+    document.querySelectorAll('volume-pricing[data-variant-id]').forEach((element) => {
+      if (volumePricing.has(element.dataset.variantId)) return;
+
+      const priceBreaks = Array.from(element.querySelectorAll('li[data-price]'), (item) => ({
+        minimumQuantity: parseInt(item.dataset.minimumQuantity),
+        price: parseInt(item.dataset.price),
+      })).sort((a, b) => a.minimumQuantity - b.minimumQuantity);
+      volumePricing.set(element.dataset.variantId, priceBreaks);
+    });
+
+    return volumePricing;
+  }
+
+  // Quote numbers are stable for a cart on a given day, so exporting twice gives the same number
+  static getQuoteNumber(cart, date = new Date()) {
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const token = (cart.token || '').split('?')[0].replace(/[^a-z0-9]/gi, '');
+    return `Q-${day}-${token.slice(-6).toUpperCase() || Date.now().toString(36).toUpperCase()}`;
+  }
+
+  static toCSV(lines) {
+    const strings = window.cartExportStrings;
+    const rows = [
+      [
+        strings.sku,
+        strings.title,
+        strings.variant,
+        strings.quantity,
+        strings.unitPrice,
+        strings.volumePrice,
+        strings.lineTotal,
+      ],
+      ...lines.map((line) => [
+        CartExport.escapeCSV(line.sku),
+        CartExport.escapeCSV(line.title),
+        CartExport.escapeCSV(line.variant),
+        line.quantity,
+        CartExport.formatDecimal(line.unitPrice),
+        line.volumePrice === null ? '' : CartExport.formatDecimal(line.volumePrice),
+        CartExport.formatDecimal(line.lineTotal),
+      ]),
+    ];
+
+    return rows.map((row) => row.map(CartExport.quoteCSV).join(',')).join('\r\n');
+  }
+
+  // Spreadsheets evaluate cells starting with these characters as formulas
+  static escapeCSV(value) {
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  }
+
+  static quoteCSV(value) {
+    const text = `${value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // CSV prices are plain numbers so they can be summed, the currency is in the quote and the cart
+  static formatDecimal(cents) {
+    return (cents / 100).toFixed(2);
+  }
+
+  static async downloadCSV(options) {
+    const { cart, lines } = await CartExport.getLines(options);
+
+    // the byte order mark makes Excel read the file as UTF-8
+    const blob = new Blob(['\uFEFF', CartExport.toCSV(lines)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${CartExport.getQuoteNumber(cart)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  static async printQuote(options) {
+    const { cart, lines } = await CartExport.getLines(options);
+    const html = CartExport.renderQuote(cart, lines, { isPartial: Boolean(options?.productId) });
+
+    document.querySelector('.cart-export__print-frame')?.remove();
+
+    const frame = document.createElement('iframe');
+    frame.className = 'cart-export__print-frame';
+    frame.setAttribute('aria-hidden', 'true');
+    frame.tabIndex = -1;
+
+    await new Promise((resolve) => {
+      frame.addEventListener('load', resolve, { once: true });
+      frame.srcdoc = html;
+      document.body.appendChild(frame);
+    });
+
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove(), { once: true });
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  }
+
+  static renderQuote(cart, lines, { isPartial = false, date = new Date() } = {}) {
+    const strings = window.cartExportStrings;
+    const { companyName, companyDetails, logo, validityDays, stylesheet } = CartExport.config;
+    const escape = CartExport.escapeHTML;
+    const money = (cents) => escape(Shopify.formatMoney(cents, window.moneyFormats?.moneyWithCurrency));
+
+    const dateFormat = new Intl.DateTimeFormat(document.documentElement.lang || undefined, { dateStyle: 'long' });
+    const expiry = new Date(date);
+    expiry.setDate(expiry.getDate() + validityDays);
+
+    const quoteNumber = CartExport.getQuoteNumber(cart, date);
+    const subtotal = lines.reduce((total, line) => total + line.lineTotal, 0);
+    // cart-level discounts only apply to the whole cart
+    const total = isPartial ? subtotal : cart.total_price;
+
+    const rows = lines
+      .map(
+        (line) => `
+          <tr>
+            <td>${escape(line.sku)}</td>
+            <td>${escape(line.title)}${line.variant ? `<br><small>${escape(line.variant)}</small>` : ''}</td>
+            <td class="numeric">${line.quantity}</td>
+            <td class="numeric">${money(line.unitPrice)}</td>
+            <td class="numeric">${line.volumePrice === null ? '' : money(line.volumePrice)}</td>
+            <td class="numeric">${money(line.lineTotal)}</td>
+          </tr>`
+      )
+      .join('');
+    const totalRow = (label, cents) =>
+      `<tr><th scope="row" colspan="5">${escape(label)}</th><td class="numeric">${money(cents)}</td></tr>`;
+
+    return `<!doctype html>
+      <html lang="${escape(document.documentElement.lang)}">
+        <head>
+          <meta charset="utf-8">
+          <title>${escape(strings.quote)} ${escape(quoteNumber)}</title>
+          ${stylesheet ? `<link rel="stylesheet" href="${escape(stylesheet)}">` : ''}
+        </head>
+        <body class="cart-quote">
+          <header class="cart-quote__header">
+            <div class="cart-quote__company">
+              ${logo ? `<img class="cart-quote__logo" src="${escape(logo)}" alt="${escape(companyName)}">` : ''}
+              <strong>${escape(companyName)}</strong>
+              <address>${escape(companyDetails).replace(/\n/g, '<br>')}</address>
+            </div>
+            <div>
+              <h1>${escape(strings.quote)}</h1>
+              <dl class="cart-quote__meta">
+                <dt>${escape(strings.quoteNumber)}</dt><dd>${escape(quoteNumber)}</dd>
+                <dt>${escape(strings.date)}</dt><dd>${escape(dateFormat.format(date))}</dd>
+                <dt>${escape(strings.validUntil)}</dt><dd>${escape(dateFormat.format(expiry))}</dd>
+              </dl>
+            </div>
+          </header>
+          <table class="cart-quote__lines">
+            <thead>
+              <tr>
+                <th scope="col">${escape(strings.sku)}</th>
+                <th scope="col">${escape(strings.title)}</th>
+                <th scope="col" class="numeric">${escape(strings.quantity)}</th>
+                <th scope="col" class="numeric">${escape(strings.unitPrice)}</th>
+                <th scope="col" class="numeric">${escape(strings.volumePrice)}</th>
+                <th scope="col" class="numeric">${escape(strings.lineTotal)}</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+            <tfoot>
+              ${total !== subtotal ? totalRow(strings.subtotal, subtotal) : ''}
+              ${totalRow(strings.total, total)}
+            </tfoot>
+          </table>
+          ${
+            cart.note && !isPartial
+              ? `<h2>${escape(strings.note)}</h2><p class="cart-quote__note">${escape(cart.note)}</p>`
+              : ''
+          }
+          <p class="cart-quote__terms">${escape(strings.terms)}</p>
+        </body>
+      </html>`;
+  }
+
+  static escapeHTML(value) {
+    const element = document.createElement('div');
+    element.textContent = value ?? '';
+    return element.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+if (!customElements.get('cart-export')) {
+  customElements.define(
+    'cart-export',
+    class CartExportButtons extends HTMLElement {
+      constructor() {
+        super();
+        this.addEventListener('click', this.onClick.bind(this));
+      }
+
+      async onClick(event) {
+        const button = event.target.closest('button[data-export]');
+        if (!button || button.getAttribute('aria-disabled') === 'true') return;
+
+        const options = { productId: this.dataset.productId || null };
+        const status = this.querySelector('.cart-export__status');
+        button.setAttribute('aria-disabled', true);
+        status.textContent = '';
+
+        try {
+          if (button.dataset.export === CartExport.FORMATS.csv) {
+            await CartExport.downloadCSV(options);
+          } else {
+            await CartExport.printQuote(options);
+          }
+        } catch (error) {
+          console.error(error);
+          status.textContent = error.description || window.cartExportStrings.error;
+        } finally {
+          button.removeAttribute('aria-disabled');
+        }
+      }
+    }
+  );
+}
@@ -0,0 +1,294 @@
+/**
+ * Persistent queue for cart mutations that could not reach the server.
+ *
+ * `CartItems.updateQuantity` and `ProductForm.onSubmitHandler` hand a mutation over when their request fails at the
+ * network level. Mutations are stored in IndexedDB (in memory when it is unavailable), so they survive a reload, and
+ * are replayed with exponential backoff once the connection returns. Repeated edits of the same line collapse into
+ * the latest quantity, and repeated adds of the same variant are summed.
+ *
+ * After a flush the resulting server cart is compared with what the buyer asked for; any divergence is published as
+ * a reconciliation summary and shown by `<cart-mutation-status>`.
+ */
+class CartMutationQueue {
+  static SOURCE = 'cart-mutation-queue';
+  static EVENTS = {
+    change: 'cart-mutation-queue:change',
+  };
+  static BASE_RETRY_DELAY = 1000;
+  static MAX_RETRY_DELAY = 60000;
+
+  static #databaseName = 'cart-mutation-queue';
+  static #storeName = 'mutations';
+  static #database = null;
+  static #memoryStore = new Map();
+  static #flushing = false;
+  static #retryTimer = null;
+  static #attempts = 0;
+  static #pendingCount = 0;
+  static #lastSummary = [];
+
+  static init() {
+    window.addEventListener('online', () => CartMutationQueue.flush());
+    CartMutationQueue.#refreshPendingCount().then(() => CartMutationQueue.flush());
+  }
+
+  static get pendingCount() {
+    return CartMutationQueue.#pendingCount;
+  }
+
+  static get lastSummary() {
+    return CartMutationQueue.#lastSummary;
+  }
+
+  // fetch rejects with a TypeError (rather than resolving with an error status) when the request never reached the
+  // server; the message differs per browser: "Failed to fetch", "NetworkError when attempting...", "Load failed"
+  static isNetworkError(error) {
+    return !navigator.onLine || (error instanceof TypeError && /fetch|network|load failed/i.test(error.message));
+  }
+
+  /**
+   * Queues a quantity change for a cart line, identified by its line item key.
+   */
+  static enqueueChange({ key, quantity, title }) {
+    return CartMutationQueue.#enqueue({
+      id: `change:${key}`,
+      type: 'change',
+      title,
+      body: { id: key, quantity },
+    });
+  }
+
+  /**
+   * Queues an add to cart. `item` follows the `/cart/add.js` items format ({ id, quantity, properties, ... }).
+   */
+  static enqueueAdd({ item, title }) {
+    const hasExtras = item.properties || item.selling_plan;
+    return CartMutationQueue.#enqueue({
+      // lines with properties or selling plans are distinct cart lines, so they are never merged
+      id: hasExtras ? `add:${item.id}:${Date.now()}` : `add:${item.id}`,
+      type: 'add',
+      title,
+      body: { items: [item] },
+    });
+  }
+
+  static async flush() {
+    if (CartMutationQueue.#flushing || !navigator.onLine) return;
+
+    CartMutationQueue.#flushing = true;
+    try {
+      // every open tab flushes when the connection returns, but the queue is shared: one tab sends it at a time, and
+      // reads it only once it holds the lock, so mutations another tab already sent are gone by then
+      await CartMutationQueue.#withLock(() => CartMutationQueue.#flushQueue());
+    } finally {
+      CartMutationQueue.#flushing = false;
+      await CartMutationQueue.#refreshPendingCount();
+    }
+  }
+
+  static #withLock(callback) {
+    if (!navigator.locks) return callback();
+    return navigator.locks.request(CartMutationQueue.#databaseName, callback);
+  }
+
+  static async #flushQueue() {
+    const mutations = await CartMutationQueue.#getAll();
+    if (!mutations.length) return;
+
+    clearTimeout(CartMutationQueue.#retryTimer);
+
+    const summary = [];
+    try {
+      for (const mutation of mutations) {
+        const result = await CartMutationQueue.#send(mutation);
+        await CartMutationQueue.#delete(mutation.id);
+        if (result.rejected) summary.push({ ...result, title: mutation.title });
+      }
+
+      CartMutationQueue.#attempts = 0;
+      const cartData = await fetch(`${routes.cart_url}.js`).then((response) => response.json());
+      summary.push(...CartMutationQueue.#reconcile(mutations, cartData));
+      CartMutationQueue.#lastSummary = summary;
+
+      publish(PUB_SUB_EVENTS.cartUpdate, { source: CartMutationQueue.SOURCE, cartData });
+    } catch (error) {
+      if (!CartMutationQueue.isNetworkError(error)) console.error(error);
+      CartMutationQueue.#scheduleRetry();
+    }
+  }
+
+  static dismissSummary() {
+    CartMutationQueue.#lastSummary = [];
+    CartMutationQueue.#notify();
+  }
+
+  static async #enqueue(mutation) {
+    const existing = await CartMutationQueue.#get(mutation.id);
+
+    if (existing && mutation.type === 'add') {
+      mutation.body.items[0].quantity += existing.body.items[0].quantity;
+    }
+
+    await CartMutationQueue.#put({ ...mutation, createdAt: existing?.createdAt ?? Date.now() });
+    await CartMutationQueue.#refreshPendingCount();
+    CartMutationQueue.#scheduleRetry();
+  }
+
+  static #send(mutation) {
+    const url = mutation.type === 'add' ? routes.cart_add_url : routes.cart_change_url;
+    const body = JSON.stringify(mutation.body);
+
+    return fetch(url, { ...fetchConfig(), body }).then(async (response) => {
+      if (response.ok) return { rejected: false };
+
+      // the server answered, so retrying will not help: report the rejection instead
+      const parsed = await response.json().catch(() => ({}));
+      return { rejected: true, message: parsed.description || parsed.message || window.cartStrings.error };
+    });
+  }
+
+  static #reconcile(mutations, cartData) {
+    return mutations
+      .filter((mutation) => mutation.type === 'change')
+      .map((mutation) => {
+        const item = cartData.items.find(({ key }) => key === mutation.body.id);
+        const quantity = item ? item.quantity : 0;
+        if (quantity === mutation.body.quantity) return null;
+
+        return { title: mutation.title, requested: mutation.body.quantity, quantity };
+      })
+      .filter(Boolean);
+  }
+
+  static #scheduleRetry() {
+    clearTimeout(CartMutationQueue.#retryTimer);
+    if (!CartMutationQueue.#pendingCount && !CartMutationQueue.#flushing) return;
+
+    const delay = Math.min(
+      CartMutationQueue.BASE_RETRY_DELAY * 2 ** CartMutationQueue.#attempts,
+      CartMutationQueue.MAX_RETRY_DELAY
+    );
+    CartMutationQueue.#attempts += 1;
+    CartMutationQueue.#retryTimer = setTimeout(() => CartMutationQueue.flush(), delay + Math.random() * 250);
+  }
+
+  static async #refreshPendingCount() {
+    CartMutationQueue.#pendingCount = (await CartMutationQueue.#getAll()).length;
+    CartMutationQueue.#notify();
+  }
+
+  static #notify() {
+    document.dispatchEvent(
+      new CustomEvent(CartMutationQueue.EVENTS.change, {
+        detail: { pendingCount: CartMutationQueue.#pendingCount, summary: CartMutationQueue.#lastSummary },
+      })
+    );
+  }
+
+  static #openDatabase() {
+    if (CartMutationQueue.#database) return CartMutationQueue.#database;
+
+    CartMutationQueue.#database = new Promise((resolve) => {
+      if (!window.indexedDB) return resolve(null);
+
+      const request = indexedDB.open(CartMutationQueue.#databaseName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(CartMutationQueue.#storeName, { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      // private browsing modes may refuse IndexedDB; fall back to the in-memory store
+      request.onerror = () => resolve(null);
+    });
+
+    return CartMutationQueue.#database;
+  }
+
+  static async #transaction(mode, operation) {
+    const database = await CartMutationQueue.#openDatabase();
+    if (!database) return operation(null);
+
+    return new Promise((resolve, reject) => {
+      const store = database.transaction(CartMutationQueue.#storeName, mode).objectStore(CartMutationQueue.#storeName);
+      const request = operation(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  static async #getAll() {
+    const mutations = await CartMutationQueue.#transaction('readonly', (store) =>
+      store ? store.getAll() : Array.from(CartMutationQueue.#memoryStore.values())
+    );
+    return mutations.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  static #get(id) {
+    return CartMutationQueue.#transaction('readonly', (store) =>
+      store ? store.get(id) : CartMutationQueue.#memoryStore.get(id)
+    );
+  }
+
+  static #put(mutation) {
+    return CartMutationQueue.#transaction('readwrite', (store) =>
+      store ? store.put(mutation) : CartMutationQueue.#memoryStore.set(mutation.id, mutation)
+    );
+  }
+
+  static #delete(id) {
+    return CartMutationQueue.#transaction('readwrite', (store) =>
+      store ? store.delete(id) : CartMutationQueue.#memoryStore.delete(id)
+    );
+  }
+}
+
+CartMutationQueue.init();
+
+if (!customElements.get('cart-mutation-status')) {
+  customElements.define(
+    'cart-mutation-status',
+    class CartMutationStatus extends HTMLElement {
+      constructor() {
+        super();
+        this.onQueueChange = this.render.bind(this);
+      }
+
+      connectedCallback() {
+        document.addEventListener(CartMutationQueue.EVENTS.change, this.onQueueChange);
+        this.querySelector('.cart-mutation-status__dismiss')?.addEventListener('click', () =>
+          CartMutationQueue.dismissSummary()
+        );
+        this.render();
+      }
+
+      disconnectedCallback() {
+        document.removeEventListener(CartMutationQueue.EVENTS.change, this.onQueueChange);
+      }
+
+      render() {
+        const pendingCount = CartMutationQueue.pendingCount;
+        const summary = CartMutationQueue.lastSummary;
+
+        const pending = this.querySelector('.cart-mutation-status__pending');
+        pending.classList.toggle('hidden', pendingCount === 0);
+        pending.querySelector('.cart-mutation-status__pending-text').textContent = (
+          pendingCount === 1 ? window.cartStrings.offlinePendingOne : window.cartStrings.offlinePendingOther
+        ).replace('[count]', pendingCount);
+
+        const reconciliation = this.querySelector('.cart-mutation-status__summary');
+        reconciliation.classList.toggle('hidden', summary.length === 0);
+        reconciliation.querySelector('ul').replaceChildren(
+          ...summary.map((entry) => {
+            const li = document.createElement('li');
+            li.textContent = entry.rejected
+              ? window.cartStrings.reconciliationRejected
+                  .replace('[title]', entry.title)
+                  .replace('[message]', entry.message)
+              : window.cartStrings.reconciliationQuantity
+                  .replace('[title]', entry.title)
+                  .replace('[requested]', entry.requested)
+                  .replace('[quantity]', entry.quantity);
+            return li;
+          })
+        );
+      }
+    }
+  );
+}
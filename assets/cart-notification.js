@@ -63,7 +63,7 @@ class CartNotification extends HTMLElement {
   }
 
   getSectionInnerHTML(html, selector = '.shopify-section') {
-    return new DOMParser().parseFromString(html, 'text/html').querySelector(selector).innerHTML;
+    return SectionRenderer.getSectionInnerHTML(html, selector);
   }
 
   handleBodyClick(evt) {
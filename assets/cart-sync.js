@@ -0,0 +1,76 @@
+/**
+ * Relays cart events to the other open tabs of the storefront through a BroadcastChannel.
+ *
+ * The tab that changed the cart publishes `cartUpdate`/`cartError` as usual. Every other tab receives the relay,
+ * reads the current cart from `/cart.js` and republishes it locally with `source: 'cart-sync'`, so cart components
+ * re-render their own sections (see `CartItems.onCartSync`) and the rest of the subscribers stay in step.
+ */
+class CartSync {
+  static SOURCE = 'cart-sync';
+  static #channelName = 'cart-sync';
+  static #relayedEvents = [PUB_SUB_EVENTS.cartUpdate, PUB_SUB_EVENTS.cartError];
+  static #channel = null;
+
+  static init() {
+    if (CartSync.#channel || !('BroadcastChannel' in window)) return;
+
+    CartSync.#channel = new BroadcastChannel(CartSync.#channelName);
+    CartSync.#channel.addEventListener('message', CartSync.#onMessage);
+    subscribe('cart-*', CartSync.#relay);
+  }
+
+  static #relay(event, eventName) {
+    if (!CartSync.#relayedEvents.includes(eventName) || event?.source === CartSync.SOURCE) return;
+
+    // section markup is rendered for the sending tab and is too large to post; receivers fetch their own
+    CartSync.#channel.postMessage({
+      eventName,
+      source: event.source,
+      productVariantId: event.productVariantId ?? event.variantId ?? null,
+      errors: eventName === PUB_SUB_EVENTS.cartError ? event.errors ?? null : null,
+      message: event.message ?? null,
+    });
+  }
+
+  static #onMessage({ data }) {
+    if (!data || !CartSync.#relayedEvents.includes(data.eventName)) return;
+
+    if (data.eventName === PUB_SUB_EVENTS.cartError) {
+      publish(PUB_SUB_EVENTS.cartError, { ...data, source: CartSync.SOURCE, originalSource: data.source });
+      return;
+    }
+
+    fetch(`${routes.cart_url}.js`)
+      .then((response) => response.json())
+      .then((cartData) => {
+        if (!document.querySelector('cart-items, cart-drawer-items')) CartSync.#renderCartIconBubble();
+
+        return publish(PUB_SUB_EVENTS.cartUpdate, {
+          source: CartSync.SOURCE,
+          originalSource: data.source,
+          productVariantId: data.productVariantId,
+          cartData,
+        });
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  // pages without cart items (notification cart type) only need the header bubble refreshed
+  static #renderCartIconBubble() {
+    const cartIconBubble = document.getElementById('cart-icon-bubble');
+    if (!cartIconBubble) return;
+
+    SectionRenderer.fetchSections(['cart-icon-bubble'], { url: routes.cart_url, cache: false })
+      .then((sections) => {
+        const source = SectionRenderer.parse(sections['cart-icon-bubble']).querySelector('.shopify-section');
+        if (source) cartIconBubble.innerHTML = source.innerHTML;
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+}
+
+CartSync.init();
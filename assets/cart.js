@@ -32,6 +32,9 @@ class CartItems extends HTMLElement {
       if (event.source === 'cart-items') {
         return;
       }
+      if (event.source === 'cart-sync') {
+        return this.onCartSync(event.cartData);
+      }
       return this.onCartUpdate();
     });
   }
@@ -89,10 +92,8 @@ class CartItems extends HTMLElement {
 
   onCartUpdate() {
     if (this.tagName === 'CART-DRAWER-ITEMS') {
-      return fetch(`${routes.cart_url}?section_id=cart-drawer`)
-        .then((response) => response.text())
-        .then((responseText) => {
-          const html = new DOMParser().parseFromString(responseText, 'text/html');
+      return SectionRenderer.fetchDocument(`${routes.cart_url}?section_id=cart-drawer`, { cache: false })
+        .then((html) => {
           const selectors = ['cart-drawer-items', '.cart-drawer__footer'];
           for (const selector of selectors) {
             const targetElement = document.querySelector(selector);
@@ -106,10 +107,8 @@ class CartItems extends HTMLElement {
           console.error(e);
         });
     } else {
-      return fetch(`${routes.cart_url}?section_id=main-cart-items`)
-        .then((response) => response.text())
-        .then((responseText) => {
-          const html = new DOMParser().parseFromString(responseText, 'text/html');
+      return SectionRenderer.fetchDocument(`${routes.cart_url}?section_id=main-cart-items`, { cache: false })
+        .then((html) => {
           const sourceQty = html.querySelector('cart-items');
           this.innerHTML = sourceQty.innerHTML;
         })
@@ -119,6 +118,34 @@ class CartItems extends HTMLElement {
     }
   }
 
+  // the cart was changed in another tab: re-render every section this component owns from the server
+  onCartSync(cartData) {
+    const sections = this.getSectionsToRender().map((section) => section.section);
+
+    return SectionRenderer.fetchSections(sections, { url: routes.cart_url, cache: false })
+      .then((renderedSections) => {
+        this.renderSections({ item_count: cartData.item_count, sections: renderedSections });
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  renderSections(parsedState) {
+    this.classList.toggle('is-empty', parsedState.item_count === 0);
+    const cartDrawerWrapper = document.querySelector('cart-drawer');
+    const cartFooter = document.getElementById('main-cart-footer');
+
+    if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
+    if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
+
+    this.getSectionsToRender().forEach((section) => {
+      const elementToReplace =
+        document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+      elementToReplace.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.section], section.selector);
+    });
+  }
+
   getSectionsToRender() {
     return [
       {
@@ -145,7 +172,8 @@ class CartItems extends HTMLElement {
   }
 
   updateQuantity(line, quantity, event, name, variantId) {
-    this.enableLoading(line);
+    const optimisticUpdate = this.applyOptimisticUpdate(line, quantity);
+    this.enableLoading(line, !optimisticUpdate);
 
     const body = JSON.stringify({
       line,
@@ -168,26 +196,14 @@ class CartItems extends HTMLElement {
           const items = document.querySelectorAll('.cart-item');
 
           if (parsedState.errors) {
+            optimisticUpdate?.rollback();
             quantityElement.value = quantityElement.getAttribute('value');
             this.updateLiveRegions(line, parsedState.errors);
             return;
           }
 
-          this.classList.toggle('is-empty', parsedState.item_count === 0);
+          this.renderSections(parsedState);
           const cartDrawerWrapper = document.querySelector('cart-drawer');
-          const cartFooter = document.getElementById('main-cart-footer');
-
-          if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
-          if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
-
-          this.getSectionsToRender().forEach((section) => {
-            const elementToReplace =
-              document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
-            elementToReplace.innerHTML = this.getSectionInnerHTML(
-              parsedState.sections[section.section],
-              section.selector
-            );
-          });
           const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
           let message = '';
           if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
@@ -216,9 +232,14 @@ class CartItems extends HTMLElement {
 
         publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId: variantId });
       })
-      .catch(() => {
+      .catch((error) => {
         this.querySelectorAll('.loading__spinner').forEach((overlay) => overlay.classList.add('hidden'));
         const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+        if (CartMutationQueue.isNetworkError(error) && this.queueQuantityChange(line, quantity)) {
+          errors.textContent = window.cartStrings.offlineQueued;
+          return;
+        }
+        optimisticUpdate?.rollback();
         errors.textContent = window.cartStrings.error;
       })
       .finally(() => {
@@ -226,6 +247,74 @@ class CartItems extends HTMLElement {
       });
   }
 
+  // applies a batched `updates` payload (variant id or line item key => quantity), e.g. when a saved list is loaded
+  updateMultiple(updates) {
+    this.enableLoading(null, false);
+
+    const body = JSON.stringify({
+      updates,
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    });
+
+    return fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((parsedState) => {
+        if (parsedState.status) {
+          throw Object.assign(new Error(parsedState.message), { description: parsedState.description });
+        }
+
+        this.renderSections(parsedState);
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState });
+        return parsedState;
+      })
+      .finally(() => {
+        this.disableLoading(null);
+      });
+  }
+
+  // shows the new line price, subtotal and cart count right away from the prices already on the page
+  applyOptimisticUpdate(line, quantity) {
+    const lineItem = document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
+    const finalPrice = parseInt(lineItem?.dataset.finalPrice);
+    const originalPrice = parseInt(lineItem?.dataset.originalPrice);
+    const previousQuantity = parseInt(lineItem?.dataset.quantity);
+    if ([finalPrice, originalPrice, previousQuantity].some(isNaN)) return null;
+
+    const update = new OptimisticUpdate();
+    const delta = quantity - previousQuantity;
+
+    lineItem
+      .querySelectorAll(
+        '.cart-item__price-wrapper > .price, .cart-item__discounted-prices .price:not(.cart-item__old-price)'
+      )
+      .forEach((price) => update.setHTML(price, Shopify.formatMoney(finalPrice * quantity)));
+    lineItem
+      .querySelectorAll('.cart-item__old-price')
+      .forEach((price) => update.setHTML(price, Shopify.formatMoney(originalPrice * quantity)));
+    document.querySelectorAll('.totals__total-value[data-total-price]').forEach((total) => {
+      const totalPrice = parseInt(total.dataset.totalPrice) + delta * finalPrice;
+      update.setHTML(total, Shopify.formatMoney(totalPrice, window.moneyFormats.moneyWithCurrency));
+      update.setAttribute(total, 'data-total-price', totalPrice);
+    });
+    update.setAttribute(lineItem, 'data-quantity', quantity);
+    update.adjustCartCount(delta);
+
+    return update;
+  }
+
+  queueQuantityChange(line, quantity) {
+    const lineItem = document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
+    if (!lineItem?.dataset.key) return false;
+
+    CartMutationQueue.enqueueChange({
+      key: lineItem.dataset.key,
+      quantity,
+      title: lineItem.querySelector('.cart-item__name')?.textContent.trim(),
+    });
+    return true;
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
@@ -243,17 +332,19 @@ class CartItems extends HTMLElement {
   }
 
   getSectionInnerHTML(html, selector) {
-    return new DOMParser().parseFromString(html, 'text/html').querySelector(selector).innerHTML;
+    return SectionRenderer.getSectionInnerHTML(html, selector);
   }
 
-  enableLoading(line) {
+  enableLoading(line, showSpinner = true) {
     const mainCartItems = document.getElementById('main-cart-items') || document.getElementById('CartDrawer-CartItems');
     mainCartItems.classList.add('cart__items--disabled');
 
-    const cartItemElements = this.querySelectorAll(`#CartItem-${line} .loading__spinner`);
-    const cartDrawerItemElements = this.querySelectorAll(`#CartDrawer-Item-${line} .loading__spinner`);
+    if (showSpinner) {
+      const cartItemElements = this.querySelectorAll(`#CartItem-${line} .loading__spinner`);
+      const cartDrawerItemElements = this.querySelectorAll(`#CartDrawer-Item-${line} .loading__spinner`);
 
-    [...cartItemElements, ...cartDrawerItemElements].forEach((overlay) => overlay.classList.remove('hidden'));
+      [...cartItemElements, ...cartDrawerItemElements].forEach((overlay) => overlay.classList.remove('hidden'));
+    }
 
     document.activeElement.blur();
     this.lineItemStatusElement.setAttribute('aria-hidden', false);
@@ -0,0 +1,165 @@
+/**
+ * "Load more" and infinite scroll for the collection grid.
+ *
+ * The next page is fetched like `FacetFiltersForm.renderPage` fetches a filtered grid: the grid section rendered with
+ * the current filter and sort params, here with `page` set. Its cards are appended to `#ProductGridContainer`, each
+ * `.grid__item` keeping the `data-page` it was rendered on (quick-add-bulk re-renders a card from that page).
+ *
+ * The last loaded page and the scroll position are kept in the history entry, so coming back to the collection loads
+ * the same pages again and restores the position, whether the page is reloaded or re-rendered by facets on popstate.
+ */
+if (!customElements.get('collection-load-more')) {
+  customElements.define(
+    'collection-load-more',
+    class CollectionLoadMore extends HTMLElement {
+      constructor() {
+        super();
+        this.onPageHide = this.saveState.bind(this);
+      }
+
+      connectedCallback() {
+        this.button = this.querySelector('.collection-load-more__button');
+        this.button?.addEventListener('click', (event) => {
+          event.preventDefault();
+          this.loadNextPage({ moveFocus: true });
+        });
+
+        if (this.dataset.infinite === 'true' && 'IntersectionObserver' in window) {
+          this.observer = new IntersectionObserver(
+            (entries) => entries.some((entry) => entry.isIntersecting) && this.loadNextPage(),
+            { rootMargin: '0px 0px 600px 0px' }
+          );
+          this.observer.observe(this);
+        }
+
+        window.addEventListener('pagehide', this.onPageHide);
+        this.restore();
+      }
+
+      disconnectedCallback() {
+        this.observer?.disconnect();
+        window.removeEventListener('pagehide', this.onPageHide);
+      }
+
+      get sectionId() {
+        return this.dataset.sectionId;
+      }
+
+      get grid() {
+        return document.getElementById(`product-grid-${this.sectionId}`);
+      }
+
+      get lastPage() {
+        return parseInt(this.dataset.lastPage || this.dataset.currentPage);
+      }
+
+      get hasNextPage() {
+        return this.lastPage < parseInt(this.dataset.pages);
+      }
+
+      async loadNextPage({ moveFocus = false } = {}) {
+        if (this.loading || !this.hasNextPage) return;
+
+        this.setLoading(true);
+        try {
+          const items = await this.appendPages([this.lastPage + 1]);
+          this.saveState();
+          // keyboard users continue from the first new card instead of the button
+          if (moveFocus) items[0]?.querySelector('a[href]')?.focus();
+          // a short page can leave the end of the grid in view, observing again checks it once more
+          if (this.observer) {
+            this.observer.unobserve(this);
+            this.observer.observe(this);
+          }
+        } catch (error) {
+          console.error(error);
+          this.querySelector('.collection-load-more__error').classList.remove('hidden');
+        } finally {
+          this.setLoading(false);
+        }
+      }
+
+      async appendPages(pages) {
+        const startMarker = StorefrontPerformance.createStartingMarker('collection:load-more');
+        const documents = await Promise.all(pages.map((page) => SectionRenderer.fetchDocument(this.getPageUrl(page))));
+
+        const items = documents.flatMap((html) =>
+          Array.from(html.querySelectorAll(`#product-grid-${this.sectionId} > .grid__item`))
+        );
+        // like grids re-rendered by facets, appended cards skip the reveal animation
+        items.forEach((item) => {
+          if (item.matches('.scroll-trigger')) item.classList.add('scroll-trigger--cancel');
+          item.querySelectorAll('.scroll-trigger').forEach((child) => child.classList.add('scroll-trigger--cancel'));
+        });
+        this.grid.append(...items);
+
+        this.dataset.lastPage = pages[pages.length - 1];
+        this.update();
+        StorefrontPerformance.measureFromMarker('collection:load-more', startMarker);
+        return items;
+      }
+
+      getPageUrl(page) {
+        const searchParams = new URLSearchParams(window.location.search);
+        searchParams.set('page', page);
+        return `${window.location.pathname}?section_id=${this.sectionId}&${searchParams}`;
+      }
+
+      update() {
+        const shown = this.grid.querySelectorAll(':scope > .grid__item').length;
+        this.querySelector('.collection-load-more__progress').textContent = window.collectionLoadMoreStrings.progress
+          .replace('[shown]', shown)
+          .replace('[total]', this.dataset.total);
+
+        if (!this.button) return;
+        const nextPageUrl = new URL(window.location.href);
+        nextPageUrl.searchParams.set('page', this.lastPage + 1);
+        this.button.href = nextPageUrl.pathname + nextPageUrl.search;
+        this.button.classList.toggle('hidden', !this.hasNextPage);
+      }
+
+      setLoading(loading) {
+        this.loading = loading;
+        this.toggleAttribute('aria-busy', loading);
+        this.button?.setAttribute('aria-disabled', loading);
+        this.querySelector('.loading__spinner').classList.toggle('hidden', !loading);
+        if (loading) this.querySelector('.collection-load-more__error').classList.add('hidden');
+      }
+
+      saveState() {
+        const loadMore = {
+          sectionId: this.sectionId,
+          search: window.location.search,
+          lastPage: this.lastPage,
+          scrollY: window.scrollY,
+        };
+        // `searchParams` is what facets.js reads from history entries on popstate
+        history.replaceState({ searchParams: window.location.search.slice(1), ...history.state, loadMore }, '');
+      }
+
+      async restore() {
+        const saved = history.state?.loadMore;
+        if (!saved || saved.sectionId !== this.sectionId || saved.search !== window.location.search) return;
+
+        const pages = [];
+        for (let page = this.lastPage + 1; page <= Math.min(saved.lastPage, this.dataset.pages); page++) {
+          pages.push(page);
+        }
+
+        if (pages.length) {
+          this.setLoading(true);
+          try {
+            await this.appendPages(pages);
+          } catch (error) {
+            console.error(error);
+            return;
+          } finally {
+            this.setLoading(false);
+          }
+        }
+
+        window.scrollTo(0, saved.scrollY);
+      }
+    }
+  );
+}
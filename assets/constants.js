@@ -6,4 +6,31 @@ const PUB_SUB_EVENTS = {
   optionValueSelectionChange: 'option-value-selection-change',
   variantChange: 'variant-change',
   cartError: 'cart-error',
+  facetsUpdate: 'facets-update',
+};
+
+// Payload shapes checked by the event bus in development mode (theme editor, or localStorage 'pubsub:debug' = 'true')
+const PUB_SUB_EVENT_SCHEMAS = {
+  [PUB_SUB_EVENTS.cartUpdate]: {
+    source: 'string',
+    cartData: 'object?',
+  },
+  [PUB_SUB_EVENTS.cartError]: {
+    source: 'string',
+    errors: 'any?',
+    message: 'string?',
+  },
+  [PUB_SUB_EVENTS.optionValueSelectionChange]: {
+    data: 'object',
+    'data.target': 'object',
+    'data.selectedOptionValues': 'array',
+  },
+  [PUB_SUB_EVENTS.variantChange]: {
+    data: 'object',
+    'data.sectionId': 'string',
+    'data.variant': 'object?',
+  },
+  [PUB_SUB_EVENTS.facetsUpdate]: {
+    searchParams: 'string',
+  },
 };
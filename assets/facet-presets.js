@@ -0,0 +1,336 @@
+/**
+ * Saved filter presets for collection pages: named filter and sort combinations a buyer builds often.
+ *
+ * A preset is `{ id, name, searchParams, createdAt }`, where `searchParams` is the query string the facet forms
+ * submitted (`FacetFiltersForm.createSearchParams`), normalized so the same filters in another order match. Presets
+ * are kept per collection handle in localStorage, and can be exported to and imported from a JSON file.
+ *
+ * A preset is shared as a link to the collection with the preset in the URL hash, compressed when the browser supports
+ * `CompressionStream`. Opening the link applies the filters and offers to save the preset.
+ */
+class FacetPresets {
+  static EVENTS = {
+    change: 'facet-presets:change',
+  };
+  static STORAGE_KEY = 'facet-presets';
+  static HASH_KEY = 'preset';
+  static LIMIT = 30;
+
+  static init() {
+    window.addEventListener('storage', (event) => {
+      if (event.key?.startsWith(`${FacetPresets.STORAGE_KEY}:`)) FacetPresets.#notify();
+    });
+  }
+
+  static getPresets(handle) {
+    try {
+      const presets = JSON.parse(localStorage.getItem(FacetPresets.#getStorageKey(handle))) || [];
+      return presets.filter(FacetPresets.isPreset);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static isPreset(preset) {
+    return typeof preset?.name === 'string' && preset.name.trim() !== '' && typeof preset.searchParams === 'string';
+  }
+
+  // saving a preset under an existing name replaces it, so importing the same file twice doesn't duplicate presets.
+  // Returns null when the preset couldn't be stored.
+  static save(handle, { name, searchParams }) {
+    const preset = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: name.trim().slice(0, 60),
+      searchParams: FacetPresets.normalize(searchParams),
+      createdAt: new Date().toISOString(),
+    };
+    const presets = FacetPresets.getPresets(handle).filter(
+      (candidate) => candidate.name.toLowerCase() !== preset.name.toLowerCase()
+    );
+
+    return FacetPresets.#write(handle, [...presets, preset]) ? preset : null;
+  }
+
+  // false when the presets couldn't be stored
+  static remove(handle, id) {
+    return FacetPresets.#write(handle, FacetPresets.getPresets(handle).filter((preset) => preset.id !== id));
+  }
+
+  // returns the number of presets imported, or null when they couldn't be stored
+  static import(handle, json) {
+    const data = JSON.parse(json);
+    const presets = (Array.isArray(data) ? data : data?.presets || []).filter(FacetPresets.isPreset);
+    if (!presets.length) throw new Error('The file has no presets');
+
+    return presets.every((preset) => FacetPresets.save(handle, preset)) ? presets.length : null;
+  }
+
+  static export(handle) {
+    const data = { collection: handle, presets: FacetPresets.getPresets(handle) };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `filter-presets-${handle}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  // sorted params without pagination or empty values (an unset price range), so equal filters compare equal
+  static normalize(searchParams) {
+    const params = Array.from(new URLSearchParams(searchParams))
+      .filter(([key, value]) => value !== '' && key !== 'page' && key !== 'section_id')
+      .sort(
+        ([keyA, valueA], [keyB, valueB]) => FacetPresets.#compare(keyA, keyB) || FacetPresets.#compare(valueA, valueB)
+      );
+    return new URLSearchParams(params).toString();
+  }
+
+  static async getShareUrl({ name, searchParams }) {
+    const json = JSON.stringify({ n: name, p: FacetPresets.normalize(searchParams) });
+    let code = `j${FacetPresets.#toBase64Url(new TextEncoder().encode(json))}`;
+
+    if ('CompressionStream' in window) {
+      const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+      code = `z${FacetPresets.#toBase64Url(compressed)}`;
+    }
+
+    return `${window.location.origin}${window.location.pathname}#${FacetPresets.HASH_KEY}=${code}`;
+  }
+
+  // resolves with the preset of a shared link, or null when the hash has none
+  static async readShareHash(hash = window.location.hash) {
+    const code = new URLSearchParams(hash.slice(1)).get(FacetPresets.HASH_KEY);
+    if (!code) return null;
+
+    try {
+      let bytes = FacetPresets.#fromBase64Url(code.slice(1));
+      if (code[0] === 'z') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+      }
+
+      const { n: name, p: searchParams } = JSON.parse(new TextDecoder().decode(bytes));
+      const preset = { name, searchParams: FacetPresets.normalize(searchParams) };
+      return FacetPresets.isPreset(preset) ? preset : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static #compare(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  }
+
+  static #getStorageKey(handle) {
+    return `${FacetPresets.STORAGE_KEY}:${handle}`;
+  }
+
+  // false when localStorage is full or disabled
+  static #write(handle, presets) {
+    try {
+      localStorage.setItem(FacetPresets.#getStorageKey(handle), JSON.stringify(presets.slice(-FacetPresets.LIMIT)));
+    } catch (e) {
+      return false;
+    }
+    FacetPresets.#notify();
+    return true;
+  }
+
+  static #notify() {
+    document.dispatchEvent(new CustomEvent(FacetPresets.EVENTS.change));
+  }
+
+  static #toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  static #fromBase64Url(code) {
+    const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (character) => character.charCodeAt(0));
+  }
+}
+
+FacetPresets.init();
+
+if (!customElements.get('facet-presets')) {
+  customElements.define(
+    'facet-presets',
+    class FacetPresetsElement extends HTMLElement {
+      constructor() {
+        super();
+        this.onChange = this.render.bind(this);
+      }
+
+      connectedCallback() {
+        this.list = this.querySelector('.facet-presets__list');
+        this.template = this.querySelector('.facet-presets__item-template');
+        this.status = this.querySelector('.facet-presets__status');
+        this.saveForm = this.querySelector('.facet-presets__save');
+        this.sharedPreset = null;
+
+        this.list.addEventListener('click', this.onListClick.bind(this));
+        this.saveForm.addEventListener('submit', this.onSave.bind(this));
+        this.querySelector('[data-action="export"]').addEventListener('click', () => FacetPresets.export(this.handle));
+        this.querySelector('.facet-presets__import-input').addEventListener('change', this.onImport.bind(this));
+        this.querySelector('[data-action="save-shared"]').addEventListener('click', this.onSaveShared.bind(this));
+
+        document.addEventListener(FacetPresets.EVENTS.change, this.onChange);
+        this.unsubscribe = subscribe(PUB_SUB_EVENTS.facetsUpdate, this.onChange);
+
+        this.render();
+        this.applySharedPreset();
+      }
+
+      disconnectedCallback() {
+        document.removeEventListener(FacetPresets.EVENTS.change, this.onChange);
+        this.unsubscribe?.();
+      }
+
+      get handle() {
+        return this.dataset.collectionHandle;
+      }
+
+      get currentSearchParams() {
+        return FacetPresets.normalize(FacetFiltersForm.searchParamsPrev);
+      }
+
+      render() {
+        const presets = FacetPresets.getPresets(this.handle);
+        const current = this.currentSearchParams;
+
+        this.classList.toggle('is-empty', presets.length === 0);
+        this.list.replaceChildren(
+          ...presets.map((preset) => {
+            const item = this.template.content.firstElementChild.cloneNode(true);
+            item.dataset.id = preset.id;
+
+            const apply = item.querySelector('[data-action="apply"]');
+            apply.textContent = preset.name;
+            apply.setAttribute('aria-pressed', preset.searchParams === current);
+            item.querySelectorAll('[data-action="share"], [data-action="delete"]').forEach((button) => {
+              button.setAttribute('aria-label', button.getAttribute('aria-label').replace('[name]', preset.name));
+            });
+            return item;
+          })
+        );
+
+        const focused = this.focusAfterRender;
+        this.focusAfterRender = null;
+        if (focused) this.list.querySelector(`[data-id="${focused.id}"] [data-action="${focused.action}"]`)?.focus();
+      }
+
+      onListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { id } = button.closest('[data-id]').dataset;
+        const preset = FacetPresets.getPresets(this.handle).find((candidate) => candidate.id === id);
+        if (!preset) return;
+
+        if (button.dataset.action === 'apply') {
+          this.focusAfterRender = { id: preset.id, action: 'apply' };
+          FacetFiltersForm.renderPage(preset.searchParams);
+        } else if (button.dataset.action === 'share') {
+          this.share(preset);
+        } else if (button.dataset.action === 'delete') {
+          if (!FacetPresets.remove(this.handle, preset.id)) {
+            this.setStatus(window.facetPresetsStrings.storageError);
+            return;
+          }
+          this.saveForm.elements.name.focus();
+          this.setStatus(window.facetPresetsStrings.deleted.replace('[name]', preset.name));
+        }
+      }
+
+      onSave(event) {
+        event.preventDefault();
+        const input = this.saveForm.elements.name;
+        if (!input.value.trim()) {
+          input.focus();
+          return;
+        }
+
+        const preset = FacetPresets.save(this.handle, { name: input.value, searchParams: this.currentSearchParams });
+        if (!preset) {
+          this.setStatus(window.facetPresetsStrings.storageError);
+          return;
+        }
+        input.value = '';
+        this.setStatus(window.facetPresetsStrings.saved.replace('[name]', preset.name));
+      }
+
+      async onImport(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+          const count = FacetPresets.import(this.handle, await file.text());
+          if (count === null) {
+            this.setStatus(window.facetPresetsStrings.storageError);
+            return;
+          }
+          this.setStatus(window.facetPresetsStrings.imported.replace('[count]', count));
+        } catch (error) {
+          console.error(error);
+          this.setStatus(window.facetPresetsStrings.importError);
+        }
+      }
+
+      async share(preset) {
+        const url = await FacetPresets.getShareUrl(preset);
+        try {
+          await navigator.clipboard.writeText(url);
+          this.setStatus(window.facetPresetsStrings.linkCopied.replace('[name]', preset.name));
+        } catch (error) {
+          // clipboard access denied: show the link so it can be copied by hand
+          this.setStatus(url);
+        }
+      }
+
+      async applySharedPreset() {
+        const preset = await FacetPresets.readShareHash();
+        if (!preset) return;
+
+        // the filters replace the hash in the URL, so a reload shows the filtered collection
+        const url = `${window.location.pathname}${preset.searchParams && `?${preset.searchParams}`}`;
+        history.replaceState({ searchParams: preset.searchParams }, '', url);
+        FacetFiltersForm.renderPage(preset.searchParams, null, false);
+
+        this.sharedPreset = preset;
+        const known = FacetPresets.getPresets(this.handle).some(
+          ({ searchParams }) => searchParams === preset.searchParams
+        );
+        const shared = this.querySelector('.facet-presets__shared');
+        shared.querySelector('.facet-presets__shared-name').textContent = preset.name;
+        shared.querySelector('[data-action="save-shared"]').classList.toggle('hidden', known);
+        shared.classList.remove('hidden');
+      }
+
+      onSaveShared() {
+        if (!this.sharedPreset) return;
+
+        const preset = FacetPresets.save(this.handle, this.sharedPreset);
+        if (!preset) {
+          this.setStatus(window.facetPresetsStrings.storageError);
+          return;
+        }
+        this.querySelector('.facet-presets__shared').classList.add('hidden');
+        this.setStatus(window.facetPresetsStrings.saved.replace('[name]', preset.name));
+        this.list.querySelector(`[data-id="${preset.id}"] [data-action="apply"]`)?.focus();
+      }
+
+      setStatus(message) {
+        this.status.textContent = message;
+      }
+    }
+  );
+}
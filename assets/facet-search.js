@@ -0,0 +1,123 @@
+/**
+ * Type-ahead search in the values of long filters. Matching values are shown even when they sit behind "Show more",
+ * and the arrow keys move between the search box and the visible values.
+ *
+ * `FacetFiltersForm.renderFilters` replaces the markup of every filter on each update, so the query is kept per filter
+ * in `FacetSearch.queries` and applied again when the new element connects, or when the list next to it is replaced.
+ */
+if (!customElements.get('facet-search')) {
+  customElements.define(
+    'facet-search',
+    class FacetSearch extends HTMLElement {
+      static queries = new Map();
+
+      constructor() {
+        super();
+        this.observer = new MutationObserver(() => this.filter());
+        this.onContainerKeyDown = this.onContainerKeyDown.bind(this);
+      }
+
+      connectedCallback() {
+        this.input = this.querySelector('input');
+        this.container = this.parentElement;
+        this.input.value = FacetSearch.queries.get(this.dataset.facetKey) || '';
+
+        // the query is not a filter: keep it from submitting the facet form
+        this.input.addEventListener('input', (event) => {
+          event.stopPropagation();
+          FacetSearch.queries.set(this.dataset.facetKey, this.input.value);
+          this.filter({ announce: true });
+        });
+        this.input.addEventListener('keydown', this.onInputKeyDown.bind(this));
+        this.input.addEventListener('keyup', (event) => {
+          if (event.code.toUpperCase() === 'ESCAPE' && this.escapeHandled) event.stopPropagation();
+          this.escapeHandled = false;
+        });
+
+        this.container.addEventListener('keydown', this.onContainerKeyDown);
+        this.observer.observe(this.container, { childList: true });
+        this.filter();
+      }
+
+      disconnectedCallback() {
+        this.observer.disconnect();
+        this.container.removeEventListener('keydown', this.onContainerKeyDown);
+      }
+
+      get items() {
+        return Array.from(this.container.querySelectorAll('.facets__item, .mobile-facets__item'));
+      }
+
+      get visibleInputs() {
+        return Array.from(this.container.querySelectorAll('.facets__item input, .mobile-facets__item input')).filter(
+          (input) => input.closest('li').offsetParent !== null && !input.disabled
+        );
+      }
+
+      filter({ announce = false } = {}) {
+        const query = FacetSearch.normalize(this.input.value.trim());
+        let count = 0;
+
+        this.items.forEach((item) => {
+          const label = item.querySelector('.facet-checkbox__text-label')?.textContent || '';
+          const isMatch = !query || FacetSearch.normalize(label).includes(query);
+          item.toggleAttribute('data-facet-search-hidden', !isMatch);
+          if (isMatch) count += 1;
+        });
+
+        this.container.toggleAttribute('data-facet-search-active', Boolean(query));
+        this.querySelector('.facet-search__empty').classList.toggle('hidden', !query || count > 0);
+        if (announce) {
+          const message = count === 1 ? window.facetSearchStrings.result : window.facetSearchStrings.results;
+          this.querySelector('.facet-search__status').textContent = query ? message.replace('[count]', count) : '';
+        }
+      }
+
+      onInputKeyDown(event) {
+        switch (event.code.toUpperCase()) {
+          case 'ARROWDOWN':
+            event.preventDefault();
+            this.visibleInputs[0]?.focus();
+            break;
+          case 'ENTER':
+            // Enter would submit the facet form with the whole page
+            event.preventDefault();
+            this.visibleInputs[0]?.focus();
+            break;
+          case 'ESCAPE':
+            if (!this.input.value) return;
+            event.preventDefault();
+            this.escapeHandled = true;
+            this.input.value = '';
+            FacetSearch.queries.delete(this.dataset.facetKey);
+            this.filter({ announce: true });
+            break;
+        }
+      }
+
+      onContainerKeyDown(event) {
+        if (event.target === this.input || event.target.type !== 'checkbox') return;
+
+        const key = event.code.toUpperCase();
+        if (key !== 'ARROWDOWN' && key !== 'ARROWUP') return;
+
+        event.preventDefault();
+        const inputs = this.visibleInputs;
+        const index = inputs.indexOf(event.target);
+        if (key === 'ARROWUP' && index <= 0) {
+          this.input.focus();
+        } else {
+          inputs[key === 'ARROWDOWN' ? Math.min(index + 1, inputs.length - 1) : index - 1]?.focus();
+        }
+      }
+
+      // case and accent insensitive
+      static normalize(text) {
+        return text
+          .normalize('NFD')
+          .replace(/[\u0300-\u036f]/g, '')
+          .toLowerCase();
+      }
+    }
+  );
+}
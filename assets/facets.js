@@ -1,3 +1,138 @@
+/**
+ * Rendered facet results, keyed by the normalized search params of the request: params are sorted and empty values
+ * (an unset price range) dropped, so `a&b` and `b&a` share an entry. The least recently used entries are evicted past
+ * `LIMIT`, and entries expire after `TTL` so prices and stock don't go stale.
+ *
+ * Entries are persisted in sessionStorage, one item per entry plus an index of keys and write times, so going back to
+ * a filtered collection after a reload or from a product page renders without a request. When the storage quota is
+ * reached the oldest entries make room; without sessionStorage the cache only lives as long as the page.
+ * The index also records the cart it was written with (`window.cartState`), and entries written before the cart
+ * changed on another page are dropped when the next page loads.
+ * It is handed to `SectionRenderer.fetch` as its cache, which only stores successful responses.
+ */
+class FacetCache {
+  static LIMIT = 30;
+  static TTL = 10 * 60 * 1000;
+  static STORAGE_KEY = 'facets-cache';
+
+  // key => { time, html }, least recently used first. `html` is only read from storage when the entry is used.
+  static #entries = null;
+
+  static init() {
+    // grids render cart quantities (bulk quick add), like SectionRenderer's own cache
+    subscribe(PUB_SUB_EVENTS.cartUpdate, () => FacetCache.clear());
+  }
+
+  static getKey(url) {
+    const { pathname, searchParams } = new URL(url, window.location.origin);
+    const params = Array.from(searchParams)
+      .filter(([, value]) => value !== '')
+      .sort(([keyA, valueA], [keyB, valueB]) => FacetCache.#compare(keyA, keyB) || FacetCache.#compare(valueA, valueB));
+    return `${pathname}?${new URLSearchParams(params)}`;
+  }
+
+  static has(url) {
+    const entry = FacetCache.#load().get(FacetCache.getKey(url));
+    return Boolean(entry) && !FacetCache.#isExpired(entry);
+  }
+
+  static get(url) {
+    const entries = FacetCache.#load();
+    const key = FacetCache.getKey(url);
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (!FacetCache.#isExpired(entry)) entry.html ??= FacetCache.#read(key);
+    if (FacetCache.#isExpired(entry) || entry.html === null) {
+      FacetCache.#delete(key);
+      FacetCache.#writeIndex();
+      return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    FacetCache.#writeIndex();
+    return entry.html;
+  }
+
+  static set(url, html) {
+    const entries = FacetCache.#load();
+    const key = FacetCache.getKey(url);
+    entries.delete(key);
+    entries.set(key, { time: Date.now(), html });
+
+    while (entries.size > FacetCache.LIMIT) FacetCache.#delete(entries.keys().next().value);
+    while (!FacetCache.#write(key, html) && entries.size > 1) FacetCache.#delete(entries.keys().next().value);
+    FacetCache.#writeIndex();
+  }
+
+  static clear() {
+    Array.from(FacetCache.#load().keys()).forEach((key) => FacetCache.#delete(key));
+    FacetCache.#writeIndex();
+  }
+
+  static #load() {
+    if (FacetCache.#entries) return FacetCache.#entries;
+
+    FacetCache.#entries = new Map();
+    try {
+      const { cart, entries = [] } = JSON.parse(sessionStorage.getItem(FacetCache.STORAGE_KEY)) || {};
+      entries.forEach(([key, time]) => FacetCache.#entries.set(key, { time, html: null }));
+      if (cart !== window.cartState) FacetCache.clear();
+    } catch (e) {
+      // no sessionStorage, or an unreadable index: start empty
+    }
+    return FacetCache.#entries;
+  }
+
+  static #isExpired(entry) {
+    return Date.now() - entry.time > FacetCache.TTL;
+  }
+
+  static #compare(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  }
+
+  static #read(key) {
+    try {
+      return sessionStorage.getItem(`${FacetCache.STORAGE_KEY}:${key}`);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // false when the entry doesn't fit in the storage quota
+  static #write(key, html) {
+    try {
+      sessionStorage.setItem(`${FacetCache.STORAGE_KEY}:${key}`, html);
+      return true;
+    } catch (e) {
+      return e.name !== 'QuotaExceededError';
+    }
+  }
+
+  static #writeIndex() {
+    try {
+      const entries = Array.from(FacetCache.#entries, ([key, { time }]) => [key, time]);
+      sessionStorage.setItem(FacetCache.STORAGE_KEY, JSON.stringify({ cart: window.cartState, entries }));
+    } catch (e) {
+      // the entries are still kept in memory for this page
+    }
+  }
+
+  static #delete(key) {
+    FacetCache.#entries.delete(key);
+    try {
+      sessionStorage.removeItem(`${FacetCache.STORAGE_KEY}:${key}`);
+    } catch (e) {
+      // nothing was persisted
+    }
+  }
+}
+
+FacetCache.init();
+
 class FacetFiltersForm extends HTMLElement {
   constructor() {
     super();
@@ -7,8 +142,15 @@ class FacetFiltersForm extends HTMLElement {
       this.onSubmitHandler(event);
     }, 800);
 
+    this.debouncedPrefetch = debounce((target) => {
+      FacetFiltersForm.prefetch(this.getSearchParams(target, { toggle: true }));
+    }, 150);
+
     const facetForm = this.querySelector('form');
     facetForm.addEventListener('input', this.debouncedOnSubmit.bind(this));
+    facetForm.addEventListener('input', this.onInput.bind(this));
+    facetForm.addEventListener('pointerover', this.onPrefetchIntent.bind(this));
+    facetForm.addEventListener('focusin', this.onPrefetchIntent.bind(this));
 
     const facetWrapper = this.querySelector('#FacetsWrapperDesktop');
     if (facetWrapper) facetWrapper.addEventListener('keyup', onKeyUpEscape);
@@ -46,39 +188,30 @@ class FacetFiltersForm extends HTMLElement {
       countContainerDesktop.classList.add('loading');
     }
 
+    const startMarker = StorefrontPerformance.createStartingMarker('facets:render');
     sections.forEach((section) => {
-      const url = `${window.location.pathname}?section_id=${section.section}&${searchParams}`;
-      const filterDataUrl = (element) => element.url === url;
-
-      FacetFiltersForm.filterData.some(filterDataUrl)
-        ? FacetFiltersForm.renderSectionFromCache(filterDataUrl, event)
-        : FacetFiltersForm.renderSectionFromFetch(url, event);
+      const url = FacetFiltersForm.getSectionUrl(section.section, searchParams);
+      FacetFiltersForm.renderSectionFromFetch(url, event, startMarker);
     });
 
     if (updateURLHash) FacetFiltersForm.updateURLHash(searchParams);
+    publish(PUB_SUB_EVENTS.facetsUpdate, { searchParams });
   }
 
-  static renderSectionFromFetch(url, event) {
-    fetch(url)
-      .then((response) => response.text())
-      .then((responseText) => {
-        const html = responseText;
-        FacetFiltersForm.filterData = [...FacetFiltersForm.filterData, { html, url }];
+  static renderSectionFromFetch(url, event, startMarker) {
+    SectionRenderer.fetch(url, { cache: FacetCache, supersede: 'facets' })
+      .then((html) => {
         FacetFiltersForm.renderFilters(html, event);
         FacetFiltersForm.renderProductGridContainer(html);
         FacetFiltersForm.renderProductCount(html);
         if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(html.innerHTML);
+        if (startMarker) StorefrontPerformance.measureFromMarker('facets:render', startMarker);
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') console.error(error);
       });
   }
 
-  static renderSectionFromCache(filterDataUrl, event) {
-    const html = FacetFiltersForm.filterData.find(filterDataUrl).html;
-    FacetFiltersForm.renderFilters(html, event);
-    FacetFiltersForm.renderProductGridContainer(html);
-    FacetFiltersForm.renderProductCount(html);
-    if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(html.innerHTML);
-  }
-
   static renderProductGridContainer(html) {
     document.getElementById('ProductGridContainer').innerHTML = new DOMParser()
       .parseFromString(html, 'text/html')
@@ -238,6 +371,23 @@ class FacetFiltersForm extends HTMLElement {
     }
   }
 
+  // fetches the results of the filters or sorting the buyer is about to pick, once the browser is idle
+  static prefetch(searchParams) {
+    if (navigator.connection?.saveData) return;
+
+    const onIdle = window.requestIdleCallback || setTimeout;
+    FacetFiltersForm.getSections().forEach((section) => {
+      const url = FacetFiltersForm.getSectionUrl(section.section, searchParams);
+      if (FacetCache.has(url)) return;
+
+      onIdle(() => SectionRenderer.fetch(url, { cache: FacetCache }).catch(() => {}), { timeout: 1000 });
+    });
+  }
+
+  static getSectionUrl(sectionId, searchParams) {
+    return `${window.location.pathname}?section_id=${sectionId}&${searchParams}`;
+  }
+
   static updateURLHash(searchParams) {
     history.pushState({ searchParams }, '', `${window.location.pathname}${searchParams && '?'.concat(searchParams)}`);
   }
@@ -261,13 +411,20 @@ class FacetFiltersForm extends HTMLElement {
 
   onSubmitHandler(event) {
     event.preventDefault();
+    this.onSubmitForm(this.getSearchParams(event.target), event);
+  }
+
+  // the params a change of `target` submits; with `toggle`, the params it would submit once a checkbox is toggled
+  getSearchParams(target, { toggle = false } = {}) {
+    if (toggle) target.checked = !target.checked;
+
     const sortFilterForms = document.querySelectorAll('facet-filters-form form');
-    if (event.srcElement.className == 'mobile-facets__checkbox') {
-      const searchParams = this.createSearchParams(event.target.closest('form'));
-      this.onSubmitForm(searchParams, event);
+    let searchParams;
+    if (target.className == 'mobile-facets__checkbox') {
+      searchParams = this.createSearchParams(target.closest('form'));
     } else {
       const forms = [];
-      const isMobile = event.target.closest('form').id === 'FacetFiltersFormMobile';
+      const isMobile = target.closest('form').id === 'FacetFiltersFormMobile';
 
       sortFilterForms.forEach((form) => {
         if (!isMobile) {
@@ -278,8 +435,25 @@ class FacetFiltersForm extends HTMLElement {
           forms.push(this.createSearchParams(form));
         }
       });
-      this.onSubmitForm(forms.join('&'), event);
+      searchParams = forms.join('&');
     }
+
+    if (toggle) target.checked = !target.checked;
+    return searchParams;
+  }
+
+  onPrefetchIntent(event) {
+    const target = event.target.matches('input') ? event.target : event.target.closest('label')?.control;
+    if (!target || target.type !== 'checkbox' || target.disabled) return;
+
+    this.debouncedPrefetch(target);
+  }
+
+  // a sort option picked with the arrow keys is fetched while the submit is still debounced
+  onInput(event) {
+    if (event.target.tagName !== 'SELECT') return;
+
+    FacetFiltersForm.prefetch(this.getSearchParams(event.target));
   }
 
   onActiveFilterClick(event) {
@@ -293,7 +467,6 @@ class FacetFiltersForm extends HTMLElement {
   }
 }
 
-FacetFiltersForm.filterData = [];
 FacetFiltersForm.searchParamsInitial = window.location.search.slice(1);
 FacetFiltersForm.searchParamsPrev = window.location.search.slice(1);
 customElements.define('facet-filters-form', FacetFiltersForm);
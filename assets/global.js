@@ -68,6 +68,157 @@ class HTMLUpdateUtility {
   }
 }
 
+class SectionRenderer {
+  /**
+   * Shared client for the Section Rendering API (`?section_id=` / `?sections=`).
+   *
+   * Concurrent requests for the same URL share one fetch. Callers that pass a `supersede` key (e.g. 'facets') cancel
+   * their previous request when they make a new one; the fetch itself is aborted once nobody is waiting on it.
+   * Responses are kept in a small LRU cache that is dropped on every cart update, since most sections render cart
+   * state. Pass `cache: false` for requests that must always reach the server, or another cache with `get(url)` and
+   * `set(url, text)` (e.g. `FacetCache`) to keep the responses of a feature apart from the shared ones.
+   */
+  static CACHE_LIMIT = 20;
+
+  static #cache = new Map();
+  static #store = {
+    get: (url) => SectionRenderer.#readCache(url),
+    set: (url, text) => SectionRenderer.#writeCache(url, text),
+  };
+  static #inFlight = new Map();
+  static #cancellers = new Map();
+  static #generation = 0;
+
+  static init() {
+    subscribe(PUB_SUB_EVENTS.cartUpdate, () => SectionRenderer.invalidate());
+  }
+
+  static fetch(url, { cache = true, supersede = null } = {}) {
+    const store = cache === true ? SectionRenderer.#store : cache || null;
+    const cached = store?.get(url) ?? null;
+    if (cached !== null) {
+      SectionRenderer.#cancel(supersede);
+      return Promise.resolve(cached);
+    }
+
+    const request = SectionRenderer.#inFlight.get(url) || SectionRenderer.#request(url);
+    request.waiting += 1;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const release = () => {
+        if (settled) return false;
+        settled = true;
+        request.waiting -= 1;
+        return true;
+      };
+
+      if (supersede) {
+        SectionRenderer.#cancel(supersede);
+        SectionRenderer.#cancellers.set(supersede, () => {
+          if (!release()) return;
+          if (request.waiting === 0) request.controller.abort();
+          reject(new DOMException('Superseded by a newer request', 'AbortError'));
+        });
+      }
+
+      request.promise.then(
+        (text) => {
+          if (store && request.cacheable) store.set(url, text);
+          if (release()) resolve(text);
+        },
+        (error) => release() && reject(error)
+      );
+    });
+  }
+
+  static fetchDocument(url, options) {
+    return SectionRenderer.fetch(url, options).then((text) => SectionRenderer.parse(text));
+  }
+
+  // renders several sections at once, resolving with an object of section id => html
+  static fetchSections(sectionIds, { url = window.location.pathname, ...options } = {}) {
+    const separator = url.includes('?') ? '&' : '?';
+    return SectionRenderer.fetch(`${url}${separator}sections=${sectionIds.join(',')}`, options).then((text) =>
+      JSON.parse(text)
+    );
+  }
+
+  static parse(html) {
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+
+  static getSectionInnerHTML(html, selector = '.shopify-section') {
+    return SectionRenderer.parse(html).querySelector(selector).innerHTML;
+  }
+
+  // replaces the content of an element with the matching element of a rendered section, running its scripts
+  static render(element, html, selector) {
+    const source = (typeof html === 'string' ? SectionRenderer.parse(html) : html).querySelector(selector);
+    if (!element || !source) return false;
+
+    HTMLUpdateUtility.setInnerHTML(element, source.innerHTML);
+    return true;
+  }
+
+  static invalidate() {
+    SectionRenderer.#generation += 1;
+    SectionRenderer.#cache.clear();
+    // requests already on their way may answer with the old state: let current callers have them, but not new ones
+    SectionRenderer.#inFlight.clear();
+  }
+
+  static #cancel(supersede) {
+    SectionRenderer.#cancellers.get(supersede)?.();
+    SectionRenderer.#cancellers.delete(supersede);
+  }
+
+  static #request(url) {
+    const controller = new AbortController();
+    const generation = SectionRenderer.#generation;
+    const benchmarkName = `section-rendering:${SectionRenderer.#getBenchmarkName(url)}`;
+    const startMarker = StorefrontPerformance.createStartingMarker(benchmarkName);
+
+    const request = { controller, waiting: 0, cacheable: false };
+    request.promise = fetch(url, { signal: controller.signal })
+      .then(async (response) => {
+        const text = await response.text();
+        StorefrontPerformance.measureFromMarker(benchmarkName, startMarker);
+        request.cacheable = response.ok && generation === SectionRenderer.#generation;
+        return text;
+      })
+      .finally(() => {
+        if (SectionRenderer.#inFlight.get(url) === request) SectionRenderer.#inFlight.delete(url);
+      });
+
+    SectionRenderer.#inFlight.set(url, request);
+    return request;
+  }
+
+  static #getBenchmarkName(url) {
+    const params = new URL(url, window.location.origin).searchParams;
+    return params.get('section_id') || params.get('sections') || 'page';
+  }
+
+  static #readCache(url) {
+    if (!SectionRenderer.#cache.has(url)) return null;
+    const text = SectionRenderer.#cache.get(url);
+    SectionRenderer.#cache.delete(url);
+    SectionRenderer.#cache.set(url, text);
+    return text;
+  }
+
+  static #writeCache(url, text) {
+    SectionRenderer.#cache.delete(url);
+    SectionRenderer.#cache.set(url, text);
+    if (SectionRenderer.#cache.size > SectionRenderer.CACHE_LIMIT) {
+      SectionRenderer.#cache.delete(SectionRenderer.#cache.keys().next().value);
+    }
+  }
+}
+
+SectionRenderer.init();
+
 document.querySelectorAll('[id^="Details-"] summary').forEach((summary) => {
   summary.setAttribute('role', 'button');
   summary.setAttribute('aria-expanded', summary.parentNode.hasAttribute('open'));
@@ -358,6 +509,57 @@ Shopify.postLink = function (path, options) {
   document.body.removeChild(form);
 };
 
+Shopify.formatMoney = function (cents, format) {
+  if (typeof cents == 'string') cents = cents.replace('.', '');
+  var value = '';
+  var placeholderRegex = /\{\{\s*(\w+)\s*\}\}/;
+  var formatString = format || window.moneyFormats?.money || '${{amount}}';
+
+  function formatWithDelimiters(number, precision, thousands, decimal) {
+    precision = precision == undefined ? 2 : precision;
+    thousands = thousands || ',';
+    decimal = decimal || '.';
+
+    if (isNaN(number) || number == null) return 0;
+
+    number = (number / 100.0).toFixed(precision);
+    var parts = number.split('.');
+    var dollars = parts[0].replace(/(\d)(?=(\d\d\d)+(?!\d))/g, '$1' + thousands);
+    var cents = parts[1] ? decimal + parts[1] : '';
+
+    return dollars + cents;
+  }
+
+  switch (formatString.match(placeholderRegex)[1]) {
+    case 'amount':
+      value = formatWithDelimiters(cents, 2);
+      break;
+    case 'amount_no_decimals':
+      value = formatWithDelimiters(cents, 0);
+      break;
+    case 'amount_with_comma_separator':
+      value = formatWithDelimiters(cents, 2, '.', ',');
+      break;
+    case 'amount_no_decimals_with_comma_separator':
+      value = formatWithDelimiters(cents, 0, '.', ',');
+      break;
+    case 'amount_with_apostrophe_separator':
+      value = formatWithDelimiters(cents, 2, "'", '.');
+      break;
+    case 'amount_no_decimals_with_space_separator':
+      value = formatWithDelimiters(cents, 0, ' ');
+      break;
+    case 'amount_with_space_separator':
+      value = formatWithDelimiters(cents, 2, ' ', ',');
+      break;
+    case 'amount_with_period_and_space_separator':
+      value = formatWithDelimiters(cents, 2, ' ', '.');
+      break;
+  }
+
+  return formatString.replace(placeholderRegex, value);
+};
+
 Shopify.CountryProvinceSelector = function (country_domid, province_domid, options) {
   this.countryEl = document.getElementById(country_domid);
   this.provinceEl = document.getElementById(province_domid);
@@ -655,10 +857,8 @@ class BulkModal extends HTMLElement {
       observer.unobserve(this);
       if (this.innerHTML.trim() === '') {
         const productUrl = this.dataset.url.split('?')[0];
-        fetch(`${productUrl}?section_id=bulk-quick-order-list`)
-          .then((response) => response.text())
-          .then((responseText) => {
-            const html = new DOMParser().parseFromString(responseText, 'text/html');
+        SectionRenderer.fetchDocument(`${productUrl}?section_id=bulk-quick-order-list`)
+          .then((html) => {
             const sourceQty = html.querySelector('.quick-order-list-container').parentNode;
             this.innerHTML = sourceQty.innerHTML;
           })
@@ -1121,6 +1321,13 @@ class VariantSelects extends HTMLElement {
       ({ dataset }) => dataset.optionValueId
     );
   }
+
+  // the selected value of each option, in option order, as in a variant's `options`
+  get selectedOptionNames() {
+    return Array.from(this.querySelectorAll('select option[selected], fieldset input:checked')).map(
+      ({ value }) => value
+    );
+  }
 }
 
 customElements.define('variant-selects', VariantSelects);
@@ -1150,11 +1357,10 @@ class ProductRecommendations extends HTMLElement {
   }
 
   loadRecommendations(productId) {
-    fetch(`${this.dataset.url}&product_id=${productId}&section_id=${this.dataset.sectionId}`)
-      .then((response) => response.text())
-      .then((text) => {
-        const html = document.createElement('div');
-        html.innerHTML = text;
+    const url = `${this.dataset.url}&product_id=${productId}&section_id=${this.dataset.sectionId}`;
+
+    SectionRenderer.fetchDocument(url, { supersede: `product-recommendations-${this.dataset.sectionId}` })
+      .then((html) => {
         const recommendations = html.querySelector('product-recommendations');
 
         if (recommendations?.innerHTML.trim().length) {
@@ -1170,7 +1376,7 @@ class ProductRecommendations extends HTMLElement {
         }
       })
       .catch((e) => {
-        console.error(e);
+        if (e.name !== 'AbortError') console.error(e);
       });
   }
 }
@@ -1273,7 +1479,7 @@ class BulkAdd extends HTMLElement {
   }
 
   getSectionInnerHTML(html, selector) {
-    return new DOMParser().parseFromString(html, 'text/html').querySelector(selector).innerHTML;
+    return SectionRenderer.getSectionInnerHTML(html, selector);
   }
 }
 
@@ -1281,52 +1487,87 @@ if (!customElements.get('bulk-add')) {
   customElements.define('bulk-add', BulkAdd);
 }
 
-class CartPerformance {
-  static #metric_prefix = "cart-performance"
+class OptimisticUpdate {
+  /**
+   * Collects DOM changes made ahead of a server response so they can be undone if the server rejects the change.
+   * A successful response usually re-renders the touched elements anyway.
+   */
+  #restorers = [];
+
+  setHTML(element, html) {
+    if (!element) return;
+    const previousHTML = element.innerHTML;
+    this.#restorers.push(() => (element.innerHTML = previousHTML));
+    element.innerHTML = html;
+  }
+
+  setAttribute(element, name, value) {
+    if (!element) return;
+    const previousValue = element.getAttribute(name);
+    this.#restorers.push(() =>
+      previousValue === null ? element.removeAttribute(name) : element.setAttribute(name, previousValue)
+    );
+    element.setAttribute(name, value);
+  }
+
+  // adds delta to the item count shown in the header cart bubble
+  adjustCartCount(delta) {
+    const count = document.querySelector('#cart-icon-bubble .cart-count-bubble span[aria-hidden="true"]');
+    if (!count || !delta) return;
+
+    this.setHTML(count, Math.max(parseInt(count.textContent) + delta, 0));
+  }
+
+  rollback() {
+    this.#restorers.reverse().forEach((restore) => restore());
+    this.#restorers = [];
+  }
+}
+
+class StorefrontPerformance {
+  /**
+   * Writes `performance.mark`/`measure` entries named `<metricPrefix>:<benchmarkName>`.
+   * performance-telemetry.js observes these measures and reports them, so instrumenting an interaction only takes
+   * a starting marker and a measure here.
+   */
+  static metricPrefix = 'storefront-performance';
 
   static createStartingMarker(benchmarkName) {
-    const metricName = `${CartPerformance.#metric_prefix}:${benchmarkName}`
+    const metricName = `${this.metricPrefix}:${benchmarkName}`;
     return performance.mark(`${metricName}:start`);
   }
 
   static measureFromEvent(benchmarkName, event) {
-    const metricName = `${CartPerformance.#metric_prefix}:${benchmarkName}`
-    const startMarker = performance.mark(`${metricName}:start`, {
-      startTime: event.timeStamp
+    const metricName = `${this.metricPrefix}:${benchmarkName}`;
+    performance.mark(`${metricName}:start`, {
+      startTime: event.timeStamp,
     });
 
-    const endMarker = performance.mark(`${metricName}:end`);
+    performance.mark(`${metricName}:end`);
 
-    performance.measure(
-      metricName,
-      `${metricName}:start`,
-      `${metricName}:end`
-    );
+    return performance.measure(metricName, `${metricName}:start`, `${metricName}:end`);
   }
 
+  // measured from the marker's own start time, so overlapping measurements of the same benchmark stay separate
   static measureFromMarker(benchmarkName, startMarker) {
-    const metricName = `${CartPerformance.#metric_prefix}:${benchmarkName}`
+    const metricName = `${this.metricPrefix}:${benchmarkName}`;
     const endMarker = performance.mark(`${metricName}:end`);
 
-    performance.measure(
-      metricName,
-      startMarker.name,
-      `${metricName}:end`
-    );
+    return performance.measure(metricName, { start: startMarker.startTime, end: endMarker.startTime });
   }
 
   static measure(benchmarkName, callback) {
-    const metricName = `${CartPerformance.#metric_prefix}:${benchmarkName}`
-    const startMarker = performance.mark(`${metricName}:start`);
+    const metricName = `${this.metricPrefix}:${benchmarkName}`;
+    performance.mark(`${metricName}:start`);
 
     callback();
 
-    const endMarker = performance.mark(`${metricName}:end`);
+    performance.mark(`${metricName}:end`);
 
-    performance.measure(
-      metricName,
-      `${metricName}:start`,
-      `${metricName}:end`
-    );
+    return performance.measure(metricName, `${metricName}:start`, `${metricName}:end`);
   }
 }
+
+class CartPerformance extends StorefrontPerformance {
+  static metricPrefix = 'cart-performance';
+}
@@ -3,6 +3,7 @@ class MainSearch extends SearchForm {
     super();
     this.allSearchInputs = document.querySelectorAll('input[type="search"]');
     this.setupEventListeners();
+    this.trackSearch();
   }
 
   setupEventListeners() {
@@ -14,6 +15,31 @@ class MainSearch extends SearchForm {
     this.allSearchInputs.forEach((input) => input.addEventListener('input', this.onInput.bind(this)));
   }
 
+  // the search of this page view ends when a result is opened, another page of results is loaded or a new search is
+  // submitted; `SearchAnalytics` records it as abandoned when the page is left any other way
+  trackSearch() {
+    const { searchTerms, resultsCount, page } = this.dataset;
+    if (!SearchAnalytics.config.enabled || !searchTerms || page !== '1') return;
+
+    SearchAnalytics.begin('search', { query: searchTerms, results: parseInt(resultsCount) });
+
+    document.addEventListener('click', (event) => {
+      const link = event.target.closest('a[href]');
+      if (!link || !SearchAnalytics.isPending('search')) return;
+
+      const item = link.closest('.template-search__results .grid__item');
+      if (item) {
+        const items = Array.from(document.querySelectorAll('.template-search__results .grid__item'));
+        SearchAnalytics.end('search', 'selected', { position: items.indexOf(item) + 1 });
+      } else if (link.classList.contains('pagination__item')) {
+        SearchAnalytics.end('search', 'refined');
+      }
+    });
+    document.addEventListener('submit', (event) => {
+      if (event.target.matches('form[role="search"]')) SearchAnalytics.end('search', 'refined');
+    });
+  }
+
   onFormReset(event) {
     super.onFormReset(event);
     if (super.shouldResetForm()) {
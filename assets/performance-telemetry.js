@@ -0,0 +1,278 @@
+/**
+ * Reports storefront performance from real buyers.
+ *
+ * Interaction timings are the `performance.measure` entries written through `StorefrontPerformance` and
+ * `CartPerformance` (global.js): facet filtering, variant switching, predictive search, quick-add, section rendering
+ * and the cart flows. Core Web Vitals (LCP, INP, CLS) are observed here and reported once, when the page is hidden.
+ *
+ * Samples are batched and sent with `navigator.sendBeacon` to `window.performanceTelemetry.endpoint`. Nothing is sent
+ * without an endpoint, or for visitors outside the sample rate. With `localStorage['performance:debug'] = 'true'` (or
+ * the "Show performance overlay" theme setting, in the theme editor), samples are also kept locally and summarized by
+ * `<performance-telemetry-overlay>`.
+ */
+class PerformanceTelemetry {
+  static EVENTS = {
+    sample: 'performance-telemetry:sample',
+  };
+  static BATCH_SIZE = 20;
+  static HISTORY_LIMIT = 100;
+
+  static #prefixes = ['storefront-performance:', 'cart-performance:'];
+  static #historyKey = 'performance-telemetry:history';
+  static #queue = [];
+  static #sampled = false;
+  static #vitals = { lcp: null, inp: null, cls: 0 };
+  static #layoutShiftWindow = { value: 0, firstTime: 0, lastTime: 0 };
+  static #vitalsReported = false;
+
+  static get config() {
+    return {
+      endpoint: '',
+      sampleRate: 1,
+      showOverlay: false,
+      overlayStylesheet: null,
+      pageType: null,
+      ...window.performanceTelemetry,
+    };
+  }
+
+  static get isDebugMode() {
+    try {
+      // the setting is for the theme editor: buyers never see the overlay unless their own browser opts in
+      const showOverlay = PerformanceTelemetry.config.showOverlay && Boolean(window.Shopify?.designMode);
+      return showOverlay || localStorage.getItem('performance:debug') === 'true';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  static init() {
+    if (!('PerformanceObserver' in window)) return;
+
+    PerformanceTelemetry.#sampled = Math.random() < PerformanceTelemetry.config.sampleRate;
+
+    PerformanceTelemetry.#observe('measure', (entry) => {
+      const prefix = PerformanceTelemetry.#prefixes.find((candidate) => entry.name.startsWith(candidate));
+      if (prefix) PerformanceTelemetry.record(entry.name.slice(prefix.length), entry.duration);
+    });
+    PerformanceTelemetry.#observe('largest-contentful-paint', (entry) => {
+      PerformanceTelemetry.#vitals.lcp = entry.startTime;
+    });
+    PerformanceTelemetry.#observe('layout-shift', (entry) => PerformanceTelemetry.#onLayoutShift(entry));
+    PerformanceTelemetry.#observe('event', (entry) => PerformanceTelemetry.#onInteraction(entry), {
+      durationThreshold: 40,
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') PerformanceTelemetry.flush({ final: true });
+    });
+    window.addEventListener('pagehide', () => PerformanceTelemetry.flush({ final: true }));
+
+    if (PerformanceTelemetry.isDebugMode && !document.querySelector('performance-telemetry-overlay')) {
+      const { overlayStylesheet } = PerformanceTelemetry.config;
+      if (overlayStylesheet) {
+        document.head.insertAdjacentHTML('beforeend', `<link rel="stylesheet" href="${overlayStylesheet}">`);
+      }
+      document.body.appendChild(document.createElement('performance-telemetry-overlay'));
+    }
+  }
+
+  static record(name, value) {
+    const sample = {
+      name,
+      value: Math.round(value * 10) / 10,
+      pageType: PerformanceTelemetry.config.pageType,
+      timestamp: Date.now(),
+    };
+
+    if (PerformanceTelemetry.isDebugMode) PerformanceTelemetry.#remember(sample);
+    if (!PerformanceTelemetry.#sampled || !PerformanceTelemetry.config.endpoint) return;
+
+    PerformanceTelemetry.#queue.push(sample);
+    if (PerformanceTelemetry.#queue.length >= PerformanceTelemetry.BATCH_SIZE) PerformanceTelemetry.flush();
+  }
+
+  static flush({ final = false } = {}) {
+    if (final) PerformanceTelemetry.#recordVitals();
+
+    const { endpoint } = PerformanceTelemetry.config;
+    if (!endpoint || !PerformanceTelemetry.#queue.length) return;
+
+    const body = JSON.stringify({ url: window.location.pathname, samples: PerformanceTelemetry.#queue });
+    PerformanceTelemetry.#queue = [];
+
+    const blob = new Blob([body], { type: 'application/json' });
+    if (navigator.sendBeacon?.(endpoint, blob)) return;
+
+    // the beacon queue is full or unavailable; keepalive lets the request outlive the page as well
+    fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } }).catch(
+      () => {}
+    );
+  }
+
+  static getHistory() {
+    try {
+      return JSON.parse(localStorage.getItem(PerformanceTelemetry.#historyKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  static clearHistory() {
+    localStorage.removeItem(PerformanceTelemetry.#historyKey);
+    document.dispatchEvent(new CustomEvent(PerformanceTelemetry.EVENTS.sample));
+  }
+
+  // nearest-rank percentile of an ascending list
+  static percentile(sortedValues, percent) {
+    if (!sortedValues.length) return null;
+    const index = Math.ceil((percent / 100) * sortedValues.length) - 1;
+    return sortedValues[Math.min(Math.max(index, 0), sortedValues.length - 1)];
+  }
+
+  static summarize() {
+    return Object.entries(PerformanceTelemetry.getHistory())
+      .map(([name, values]) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        return {
+          name,
+          count: sorted.length,
+          p50: PerformanceTelemetry.percentile(sorted, 50),
+          p75: PerformanceTelemetry.percentile(sorted, 75),
+          p95: PerformanceTelemetry.percentile(sorted, 95),
+        };
+      })
+      .sort((a, b) => (b.p75 ?? 0) - (a.p75 ?? 0));
+  }
+
+  static #observe(type, callback, options = {}) {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+
+    try {
+      new PerformanceObserver((list) => list.getEntries().forEach(callback)).observe({
+        type,
+        buffered: true,
+        ...options,
+      });
+    } catch (e) {
+      console.warn(`[performance-telemetry] cannot observe "${type}":`, e);
+    }
+  }
+
+  // CLS is the largest burst of shifts: shifts less than 1s apart, for at most 5s, not caused by recent input
+  static #onLayoutShift(entry) {
+    if (entry.hadRecentInput) return;
+
+    const shiftWindow = PerformanceTelemetry.#layoutShiftWindow;
+    const continuesWindow =
+      shiftWindow.value > 0 &&
+      entry.startTime - shiftWindow.lastTime < 1000 &&
+      entry.startTime - shiftWindow.firstTime < 5000;
+
+    if (continuesWindow) {
+      shiftWindow.value += entry.value;
+      shiftWindow.lastTime = entry.startTime;
+    } else {
+      Object.assign(shiftWindow, { value: entry.value, firstTime: entry.startTime, lastTime: entry.startTime });
+    }
+
+    PerformanceTelemetry.#vitals.cls = Math.max(PerformanceTelemetry.#vitals.cls, shiftWindow.value);
+  }
+
+  // the slowest interaction of the page; the 98th percentile the INP definition asks for only differs from the
+  // maximum on pages with more than 50 interactions, which a storefront visit rarely reaches
+  static #onInteraction(entry) {
+    if (!entry.interactionId) return;
+    PerformanceTelemetry.#vitals.inp = Math.max(PerformanceTelemetry.#vitals.inp ?? 0, entry.duration);
+  }
+
+  static #recordVitals() {
+    if (PerformanceTelemetry.#vitalsReported) return;
+    PerformanceTelemetry.#vitalsReported = true;
+
+    const { lcp, inp, cls } = PerformanceTelemetry.#vitals;
+    if (lcp !== null) PerformanceTelemetry.record('web-vitals:lcp', lcp);
+    if (inp !== null) PerformanceTelemetry.record('web-vitals:inp', inp);
+    // CLS is unitless; it is reported in thousandths so every sample shares the same rounding
+    PerformanceTelemetry.record('web-vitals:cls', cls * 1000);
+  }
+
+  static #remember(sample) {
+    try {
+      const history = PerformanceTelemetry.getHistory();
+      const values = [...(history[sample.name] || []), sample.value];
+      history[sample.name] = values.slice(-PerformanceTelemetry.HISTORY_LIMIT);
+      localStorage.setItem(PerformanceTelemetry.#historyKey, JSON.stringify(history));
+    } catch (e) {
+      // storage full or disabled: the overlay simply shows less history
+    }
+
+    document.dispatchEvent(new CustomEvent(PerformanceTelemetry.EVENTS.sample, { detail: sample }));
+  }
+}
+
+PerformanceTelemetry.init();
+
+if (!customElements.get('performance-telemetry-overlay')) {
+  customElements.define(
+    'performance-telemetry-overlay',
+    class PerformanceTelemetryOverlay extends HTMLElement {
+      constructor() {
+        super();
+        this.onSample = debounce(this.render.bind(this), 250);
+      }
+
+      connectedCallback() {
+        this.classList.add('performance-telemetry-overlay');
+        this.innerHTML = `
+          <div class="performance-telemetry-overlay__header">
+            <strong>Performance (ms)</strong>
+            <button type="button" class="performance-telemetry-overlay__clear">Clear</button>
+            <button type="button" class="performance-telemetry-overlay__toggle" aria-expanded="true">–</button>
+          </div>
+          <table class="performance-telemetry-overlay__table">
+            <thead>
+              <tr>
+                <th scope="col">Metric</th><th scope="col">n</th>
+                <th scope="col">p50</th><th scope="col">p75</th><th scope="col">p95</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        `;
+
+        this.querySelector('.performance-telemetry-overlay__clear').addEventListener('click', () =>
+          PerformanceTelemetry.clearHistory()
+        );
+        this.querySelector('.performance-telemetry-overlay__toggle').addEventListener('click', (event) => {
+          const expanded = event.currentTarget.getAttribute('aria-expanded') === 'true';
+          event.currentTarget.setAttribute('aria-expanded', !expanded);
+          event.currentTarget.textContent = expanded ? '+' : '–';
+          this.querySelector('table').hidden = expanded;
+        });
+
+        document.addEventListener(PerformanceTelemetry.EVENTS.sample, this.onSample);
+        this.render();
+      }
+
+      disconnectedCallback() {
+        document.removeEventListener(PerformanceTelemetry.EVENTS.sample, this.onSample);
+      }
+
+      render() {
+        const rows = PerformanceTelemetry.summarize().map(({ name, count, p50, p75, p95 }) => {
+          const row = document.createElement('tr');
+          [name, count, p50, p75, p95].forEach((value, index) => {
+            const cell = document.createElement(index === 0 ? 'th' : 'td');
+            if (index === 0) cell.scope = 'row';
+            cell.textContent = value ?? '–';
+            row.appendChild(cell);
+          });
+          return row;
+        });
+
+        this.querySelector('tbody').replaceChildren(...rows);
+      }
+    }
+  );
+}
@@ -1,18 +1,105 @@
+/**
+ * With `data-palette`, the search box works as a command palette: `/` or Ctrl+K (⌘K) opens it from anywhere, and
+ * before anything is typed it lists recent searches (kept in localStorage), the popular searches from the theme
+ * settings and recently viewed products. A part-number-shaped query also gets a "Go to SKU" option that opens the
+ * product of the variant with that SKU. Palette options use the same markup as results, so `switchOption`,
+ * `selectOption` and the live region work the same way.
+ *
+ * Whether or not the palette is on, variants matching a part-number-shaped query (`SkuSearch`) are listed above the
+ * results, with the matching part of their SKU highlighted.
+ */
 class PredictiveSearch extends SearchForm {
+  static RECENT_SEARCHES_KEY = 'predictive-search:recent';
+  static RECENT_SEARCHES_LIMIT = 8;
+
   constructor() {
     super();
     this.cachedResults = {};
+    this.cachedPartNumbers = {};
     this.predictiveSearchResults = this.querySelector('[data-predictive-search]');
     this.allPredictiveSearchInstances = document.querySelectorAll('predictive-search');
     this.isOpen = false;
     this.abortController = new AbortController();
     this.searchTerm = '';
+    this.paletteEnabled = this.hasAttribute('data-palette');
 
     this.setupEventListeners();
   }
 
+  static initShortcuts() {
+    document.addEventListener('keydown', (event) => {
+      // autofill dispatches keydown events without a key
+      const isPaletteShortcut =
+        (event.key?.toLowerCase() === 'k' && (event.ctrlKey || event.metaKey)) ||
+        (event.key === '/' && !event.ctrlKey && !event.metaKey && !PredictiveSearch.isEditable(event.target));
+      if (!isPaletteShortcut || event.defaultPrevented) return;
+
+      // the search box of the search page, when there is one, or else the header search modal
+      const pageSearch = Array.from(document.querySelectorAll('predictive-search[data-palette]')).find(
+        (search) => !search.closest('details-modal') && search.offsetParent !== null
+      );
+      const headerSearch = Array.from(document.querySelectorAll('details-modal.header__search')).find(
+        (modal) => modal.summaryToggle.offsetParent !== null && modal.querySelector('predictive-search[data-palette]')
+      );
+      if (!pageSearch && !headerSearch) return;
+
+      event.preventDefault();
+      if (pageSearch) {
+        pageSearch.input.focus();
+      } else if (headerSearch.isOpen()) {
+        headerSearch.querySelector('input[type="search"]').focus();
+      } else {
+        headerSearch.open({ target: headerSearch.summaryToggle });
+      }
+    });
+  }
+
+  static isEditable(element) {
+    return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+  }
+
+  static getRecentSearches() {
+    try {
+      return JSON.parse(localStorage.getItem(PredictiveSearch.RECENT_SEARCHES_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static addRecentSearch(term) {
+    const searches = PredictiveSearch.getRecentSearches().filter(
+      (search) => search.toLowerCase() !== term.toLowerCase()
+    );
+    PredictiveSearch.#writeRecentSearches([term, ...searches].slice(0, PredictiveSearch.RECENT_SEARCHES_LIMIT));
+  }
+
+  static clearRecentSearches() {
+    PredictiveSearch.#writeRecentSearches([]);
+  }
+
+  static #writeRecentSearches(searches) {
+    try {
+      localStorage.setItem(PredictiveSearch.RECENT_SEARCHES_KEY, JSON.stringify(searches));
+    } catch (e) {
+      // recent searches are a convenience, searching still works without them
+    }
+  }
+
+  // resolves with the URL of the variant with this SKU, spelled however it was typed, or null
+  static async findSkuUrl(sku, { signal } = {}) {
+    const [result] = await SkuSearch.search(sku, { signal });
+    return result?.exact ? result.url : null;
+  }
+
+  static escapeHTML(value) {
+    const element = document.createElement('div');
+    element.textContent = value ?? '';
+    return element.innerHTML.replace(/"/g, '&quot;');
+  }
+
   setupEventListeners() {
     this.input.form.addEventListener('submit', this.onFormSubmit.bind(this));
+    this.predictiveSearchResults.addEventListener('click', this.onResultsClick.bind(this));
 
     this.input.addEventListener('focus', this.onFocus.bind(this));
     this.addEventListener('focusout', this.onFocusOut.bind(this));
@@ -40,6 +127,7 @@ class PredictiveSearch extends SearchForm {
 
     if (!this.searchTerm.length) {
       this.close(true);
+      if (this.paletteEnabled && document.activeElement === this.input) this.openPalette();
       return;
     }
 
@@ -47,7 +135,29 @@ class PredictiveSearch extends SearchForm {
   }
 
   onFormSubmit(event) {
-    if (!this.getQuery().length || this.querySelector('[aria-selected="true"] a')) event.preventDefault();
+    if (!this.getQuery().length || this.querySelector('[aria-selected="true"] a')) {
+      event.preventDefault();
+      return;
+    }
+
+    PredictiveSearch.addRecentSearch(this.getQuery());
+    SearchAnalytics.end('predictive', 'submitted');
+  }
+
+  onResultsClick(event) {
+    const action = event.target.closest('[data-predictive-search-action]');
+    if (action?.dataset.predictiveSearchAction === 'clear-recent') {
+      PredictiveSearch.clearRecentSearches();
+      this.openPalette();
+      this.input.focus();
+    } else if (action?.dataset.predictiveSearchAction === 'go-to-sku') {
+      this.goToSku(action);
+    } else if (event.target.closest('a') && this.getQuery()) {
+      PredictiveSearch.addRecentSearch(this.getQuery());
+      SearchAnalytics.end('predictive', 'selected', {
+        position: this.resultOptions.indexOf(event.target.closest('li')) + 1 || null,
+      });
+    }
   }
 
   onFormReset(event) {
@@ -63,7 +173,10 @@ class PredictiveSearch extends SearchForm {
   onFocus() {
     const currentSearchTerm = this.getQuery();
 
-    if (!currentSearchTerm.length) return;
+    if (!currentSearchTerm.length) {
+      if (this.paletteEnabled) this.openPalette();
+      return;
+    }
 
     if (this.searchTerm !== currentSearchTerm) {
       // Search term was changed from other search input, treat it as a user change
@@ -82,7 +195,8 @@ class PredictiveSearch extends SearchForm {
   }
 
   onKeyup(event) {
-    if (!this.getQuery().length) this.close(true);
+    // the palette shows when the query is empty, `onChange` switches to it once the last character is deleted
+    if (!this.getQuery().length && !this.paletteEnabled) this.close(true);
     event.preventDefault();
 
     switch (event.code) {
@@ -176,6 +290,7 @@ class PredictiveSearch extends SearchForm {
       return;
     }
 
+    const startMarker = StorefrontPerformance.createStartingMarker('predictive-search:results');
     fetch(`${routes.predictive_search_url}?q=${encodeURIComponent(searchTerm)}&section_id=predictive-search`, {
       signal: this.abortController.signal,
     })
@@ -197,6 +312,7 @@ class PredictiveSearch extends SearchForm {
           predictiveSearchInstance.cachedResults[queryKey] = resultsMarkup;
         });
         this.renderSearchResults(resultsMarkup);
+        StorefrontPerformance.measureFromMarker('predictive-search:results', startMarker);
       })
       .catch((error) => {
         if (error?.code === 20) {
@@ -227,10 +343,92 @@ class PredictiveSearch extends SearchForm {
 
   renderSearchResults(resultsMarkup) {
     this.predictiveSearchResults.innerHTML = resultsMarkup;
+    this.removeAttribute('palette');
     this.setAttribute('results', true);
+    const isPartNumber = SkuSearch.isPartNumber(this.searchTerm);
+    if (this.paletteEnabled && isPartNumber) {
+      this.querySelector('#predictive-search-results')?.prepend(this.createSkuOption(this.searchTerm));
+    }
 
     this.setLiveRegionResults();
     this.open();
+    SearchAnalytics.begin('predictive', { query: this.searchTerm, results: this.resultOptions.length });
+    if (isPartNumber) this.renderPartNumbers(this.searchTerm);
+  }
+
+  // each result once: pages and articles are rendered twice, for the desktop and the mobile layout
+  get resultOptions() {
+    return Array.from(this.querySelectorAll('#predictive-search-results li[role="option"]:not([id*="-mobile-"])'));
+  }
+
+  // variants whose SKU matches the query, listed above the other results once their product JSON has loaded
+  async renderPartNumbers(searchTerm) {
+    const queryKey = SkuSearch.normalize(searchTerm);
+    let results = this.cachedPartNumbers[queryKey];
+
+    if (!results) {
+      try {
+        results = await SkuSearch.search(searchTerm, { signal: this.abortController.signal });
+      } catch (error) {
+        if (error.name !== 'AbortError') console.error(error);
+        return;
+      }
+      results = results.filter(({ variant }) => variant);
+      this.cachedPartNumbers[queryKey] = results;
+    }
+
+    const container = this.querySelector('#predictive-search-results');
+    if (searchTerm !== this.searchTerm || !container || !results.length) return;
+
+    const strings = window.predictiveSearchStrings;
+    const escape = PredictiveSearch.escapeHTML;
+    const group = document.createElement('div');
+    group.className = 'predictive-search__part-numbers';
+    group.innerHTML = `
+      <h2 id="predictive-search-part-numbers" class="predictive-search__heading text-body caption-with-letter-spacing">
+        ${escape(strings.partNumbers)}
+      </h2>
+      <ul class="predictive-search__results-list list-unstyled" role="group"
+        aria-labelledby="predictive-search-part-numbers">
+        ${results
+          .map(({ product, variant, sku, url }, index) => {
+            const image = product.featured_image?.url || product.image;
+            const title = variant.title === 'Default Title' ? product.title : `${product.title} – ${variant.title}`;
+            return `
+              <li id="predictive-search-option-part-number-${index + 1}" class="predictive-search__list-item"
+                role="option" aria-selected="false">
+                <a
+                  href="${escape(url)}"
+                  class="predictive-search__item predictive-search__item--link-with-thumbnail link link--text"
+                  tabindex="-1"
+                >
+                  ${
+                    image
+                      ? `<img class="predictive-search__image" src="${escape(image)}" alt="" width="50" height="50"
+                          loading="lazy">`
+                      : ''
+                  }
+                  <div class="predictive-search__item-content">
+                    <p class="predictive-search__item-heading h5">${escape(title)}</p>
+                    <span class="predictive-search__item-sku caption">
+                      ${escape(strings.sku)} ${SkuSearch.highlight(sku, searchTerm)}
+                    </span>
+                  </div>
+                </a>
+              </li>`;
+          })
+          .join('')}
+      </ul>`;
+
+    const skuOption = container.querySelector('#predictive-search-option-sku');
+    if (skuOption) {
+      skuOption.after(group);
+    } else {
+      container.prepend(group);
+    }
+
+    const count = results.length === 1 ? strings.partNumbersCountOne : strings.partNumbersCount;
+    this.setLiveRegionText(count.replace('[count]', results.length));
   }
 
   setLiveRegionResults() {
@@ -238,6 +436,143 @@ class PredictiveSearch extends SearchForm {
     this.setLiveRegionText(this.querySelector('[data-predictive-search-live-region-count-value]').textContent);
   }
 
+  openPalette() {
+    const strings = window.predictiveSearchStrings;
+    const escape = PredictiveSearch.escapeHTML;
+    const option = (id, content) => `
+      <li id="predictive-search-option-${id}" class="predictive-search__list-item" role="option" aria-selected="false">
+        ${content}
+      </li>`;
+    const group = (id, heading, items) =>
+      items.length
+        ? `<div>
+            <h2 id="predictive-search-${id}" class="predictive-search__heading text-body caption-with-letter-spacing">
+              ${escape(heading)}
+            </h2>
+            <ul
+              class="predictive-search__results-list list-unstyled"
+              role="group"
+              aria-labelledby="predictive-search-${id}"
+            >
+              ${items.join('')}
+            </ul>
+          </div>`
+        : '';
+    const queryLink = (term) => `
+      <a href="${routes.search_url}?q=${encodeURIComponent(term)}&options%5Bprefix%5D=last"
+        class="predictive-search__item link link--text" tabindex="-1">
+        <div class="predictive-search__item-content predictive-search__item-content--centered">
+          <p class="predictive-search__item-heading h5">${escape(term)}</p>
+        </div>
+      </a>`;
+
+    const recentSearches = PredictiveSearch.getRecentSearches();
+    const popularSearches = window.predictiveSearchConfig?.popularQueries || [];
+    const recentlyViewed = RecentlyViewed.getProducts().slice(0, 4);
+
+    const groups = [
+      group(
+        'recent',
+        strings.recentSearches,
+        recentSearches.map((term, index) => option(`recent-${index + 1}`, queryLink(term)))
+      ),
+      group(
+        'popular',
+        strings.popularSearches,
+        popularSearches.map((term, index) => option(`popular-${index + 1}`, queryLink(term)))
+      ),
+      group(
+        'recently-viewed',
+        strings.recentlyViewed,
+        recentlyViewed.map((product, index) =>
+          option(
+            `recently-viewed-${index + 1}`,
+            `<a
+              href="${escape(product.url)}"
+              class="predictive-search__item predictive-search__item--link-with-thumbnail link link--text"
+              tabindex="-1"
+            >
+              ${
+                product.image
+                  ? `<img class="predictive-search__image" src="${escape(product.image)}"
+                      alt="${escape(product.imageAlt)}" width="50" height="50" loading="lazy">`
+                  : ''
+              }
+              <div class="predictive-search__item-content">
+                <p class="predictive-search__item-heading h5">${escape(product.title)}</p>
+              </div>
+            </a>`
+          )
+        )
+      ),
+    ].filter(Boolean);
+
+    if (!groups.length) {
+      this.close();
+      return;
+    }
+
+    const count = recentSearches.length + popularSearches.length + recentlyViewed.length;
+    this.predictiveSearchResults.innerHTML = `
+      <div id="predictive-search-results" role="listbox">
+        <div class="predictive-search__results-groups-wrapper predictive-search__results-groups-wrapper--palette">
+          <div class="predictive-search__result-group">${groups.join('')}</div>
+        </div>
+        ${
+          recentSearches.length
+            ? `<button type="button" class="predictive-search__item predictive-search__item--term link link--text"
+                id="predictive-search-option-clear-recent" tabindex="-1" role="option" aria-selected="false"
+                data-predictive-search-action="clear-recent">
+                ${escape(strings.clearRecentSearches)}
+              </button>`
+            : ''
+        }
+      </div>`;
+
+    this.removeAttribute('results');
+    this.setAttribute('palette', true);
+    this.statusElement = this.statusElement || this.querySelector('.predictive-search-status');
+    this.setLiveRegionText(strings.paletteCount.replace('[count]', count));
+    this.open();
+  }
+
+  createSkuOption(sku) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = 'predictive-search-option-sku';
+    button.className = 'predictive-search__item predictive-search__item--term link link--text h5';
+    button.tabIndex = -1;
+    button.setAttribute('role', 'option');
+    button.setAttribute('aria-selected', false);
+    button.dataset.predictiveSearchAction = 'go-to-sku';
+    button.dataset.sku = sku;
+    button.textContent = window.predictiveSearchStrings.goToSku.replace('[sku]', sku);
+    return button;
+  }
+
+  async goToSku(button) {
+    const { sku } = button.dataset;
+    const strings = window.predictiveSearchStrings;
+    this.setLiveRegionText(strings.skuLoading.replace('[sku]', sku));
+    button.setAttribute('aria-disabled', true);
+
+    try {
+      const url = await PredictiveSearch.findSkuUrl(sku, { signal: this.abortController.signal });
+      if (url) {
+        PredictiveSearch.addRecentSearch(sku);
+        SearchAnalytics.end('predictive', 'selected');
+        window.location.href = url;
+        return;
+      }
+      button.textContent = strings.skuNotFound.replace('[sku]', sku);
+      this.setLiveRegionText(button.textContent);
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error(error);
+    } finally {
+      button.removeAttribute('aria-disabled');
+    }
+  }
+
   getResultsMaxHeight() {
     this.resultsMaxHeight =
       window.innerHeight - document.querySelector('.section-header')?.getBoundingClientRect().bottom;
@@ -252,6 +587,8 @@ class PredictiveSearch extends SearchForm {
   }
 
   close(clearSearchTerm = false) {
+    // results closed without opening one; a no-op once the search ended with a selection or a submit
+    SearchAnalytics.end('predictive', 'abandoned');
     this.closeResults(clearSearchTerm);
     this.isOpen = false;
   }
@@ -275,3 +612,4 @@ class PredictiveSearch extends SearchForm {
 }
 
 customElements.define('predictive-search', PredictiveSearch);
+PredictiveSearch.initShortcuts();
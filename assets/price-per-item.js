@@ -17,11 +17,16 @@ if (!customElements.get('price-per-item')) {
       variantIdChangedUnsubscriber = undefined;
 
       connectedCallback() {
-        // Update variantId if variant is switched on product page
-        this.variantIdChangedUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, (event) => {
-          this.variantId = event.data.variant.id.toString();
-          this.getVolumePricingArray();
-        });
+        // Update variantId if variant is switched on product page, including a switch that happened before this element connected
+        this.variantIdChangedUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.variantChange,
+          (event) => {
+            if (!this.dataset.sectionId || event.data.sectionId !== this.dataset.sectionId) return;
+            this.variantId = event.data.variant.id.toString();
+            this.getVolumePricingArray();
+          },
+          { replay: true }
+        );
 
         this.updatePricePerItemUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (response) => {
           if (!response.cartData) return;
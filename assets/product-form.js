@@ -97,6 +97,11 @@ if (!customElements.get('product-form')) {
             }
           })
           .catch((e) => {
+            if (CartMutationQueue.isNetworkError(e)) {
+              this.queueAddToCart(formData);
+              this.handleErrorMessage(window.cartStrings.offlineQueued);
+              return;
+            }
             console.error(e);
           })
           .finally(() => {
@@ -109,6 +114,22 @@ if (!customElements.get('product-form')) {
           });
       }
 
+      queueAddToCart(formData) {
+        const item = { id: Number(formData.get('id')), quantity: Number(formData.get('quantity') || 1) };
+        if (formData.get('selling_plan')) item.selling_plan = Number(formData.get('selling_plan'));
+
+        for (const [name, value] of formData.entries()) {
+          const property = name.match(/^properties\[(.+)\]$/);
+          if (!property || value instanceof File) continue;
+          item.properties = { ...item.properties, [property[1]]: value };
+        }
+
+        CartMutationQueue.enqueueAdd({
+          item,
+          title: this.closest('product-info')?.querySelector('.product__title')?.textContent.trim() || `#${item.id}`,
+        });
+      }
+
       handleErrorMessage(errorMessage = false) {
         if (this.hideErrors) return;
 
@@ -6,7 +6,6 @@ if (!customElements.get('product-info')) {
       quantityForm = undefined;
       onVariantChangeUnsubscriber = undefined;
       cartUpdateUnsubscriber = undefined;
-      abortController = undefined;
       pendingRequestUrl = null;
       preProcessHtmlCallbacks = [];
       postProcessHtmlCallbacks = [];
@@ -26,9 +25,22 @@ if (!customElements.get('product-info')) {
         );
 
         this.initQuantityHandlers();
+        this.recordView();
         this.dispatchEvent(new CustomEvent('product-info:loaded', { bubbles: true }));
       }
 
+      // a product opened in quick add isn't counted as viewed
+      recordView() {
+        const script = this.querySelector('script[data-recently-viewed-product]');
+        if (!script || this.dataset.originalSection) return;
+
+        try {
+          RecentlyViewed.record(JSON.parse(script.textContent));
+        } catch (e) {
+          // a product that can't be read is not recorded
+        }
+      }
+
       addPreProcessCallback(callback) {
         this.preProcessHtmlCallbacks.push(callback);
       }
@@ -70,15 +82,82 @@ if (!customElements.get('product-info')) {
         const shouldSwapProduct = this.dataset.url !== productUrl;
         const shouldFetchFullPage = this.dataset.updateUrl === 'true' && shouldSwapProduct;
 
+        // the variant is known from the product's variant data: show it now, and only fetch what the server renders
+        const resolvedVariant = shouldSwapProduct ? undefined : this.resolveVariant();
+        if (resolvedVariant !== undefined) this.renderVariant(productUrl, resolvedVariant);
+
         this.renderProductInfo({
           requestUrl: this.buildRequestUrlWithParams(productUrl, selectedOptionValues, shouldFetchFullPage),
           targetId: target.id,
           callback: shouldSwapProduct
             ? this.handleSwapProduct(productUrl, shouldFetchFullPage)
-            : this.handleUpdateProductInfo(productUrl),
+            : this.handleUpdateProductInfo(productUrl, resolvedVariant),
         });
       }
 
+      // the variant with the selected options, null when no variant has them, undefined without variant data
+      resolveVariant() {
+        const variants = this.variantData;
+        const selectedOptionNames = this.variantSelectors?.selectedOptionNames;
+        if (!variants || !selectedOptionNames?.length) return undefined;
+
+        return (
+          variants.find(({ options }) => options.every((option, index) => option === selectedOptionNames[index])) ??
+          null
+        );
+      }
+
+      renderVariant(productUrl, variant) {
+        this.updateURL(productUrl, variant?.id);
+        this.updateVariantInputs(variant?.id);
+        this.pickupAvailability?.update(variant);
+
+        if (!variant) {
+          this.setUnavailable();
+          return;
+        }
+
+        this.renderPrice(variant);
+        this.renderSku(variant);
+        this.productForm?.toggleSubmitButton(!variant.available, window.variantStrings.soldOut);
+
+        if (variant.featured_media) {
+          this.querySelector('media-gallery')?.setActiveMedia?.(
+            `${this.dataset.section}-${variant.featured_media.id}`,
+            true
+          );
+        }
+      }
+
+      renderPrice(variant) {
+        const container = this.querySelector(`#price-${this.dataset.section}`);
+        const price = container?.querySelector('.price');
+        // volume pricing shows a range the server works out
+        if (!price || this.querySelector(`#Volume-Note-${this.dataset.section}`)) return;
+
+        const format = (cents) => Shopify.formatMoney(cents, window.moneyFormats?.price);
+        const onSale = variant.compare_at_price > variant.price;
+
+        price.querySelector('.price__regular .price-item--regular').textContent = format(variant.price);
+        price.querySelector('.price__sale .price-item--sale').textContent = format(variant.price);
+        const compareAtPrice = price.querySelector('.price__sale s.price-item--regular');
+        if (compareAtPrice) compareAtPrice.textContent = onSale ? format(variant.compare_at_price) : '';
+
+        price.classList.toggle('price--on-sale', onSale);
+        price.classList.toggle('price--sold-out', !variant.available);
+        container.classList.remove('hidden');
+      }
+
+      renderSku(variant) {
+        const sku = this.querySelector(`#Sku-${this.dataset.section}`);
+        if (!sku) return;
+
+        const label = sku.querySelector('.visually-hidden');
+        sku.replaceChildren(...(label ? [label] : []), variant.sku || '');
+        sku.classList.toggle('visibility-hidden', !variant.sku);
+        sku.classList.remove('hidden');
+      }
+
       resetProductFormState() {
         const productForm = this.productForm;
         productForm?.toggleSubmitButton(true);
@@ -114,15 +193,13 @@ if (!customElements.get('product-info')) {
       }
 
       renderProductInfo({ requestUrl, targetId, callback }) {
-        this.abortController?.abort();
-        this.abortController = new AbortController();
+        const startMarker = StorefrontPerformance.createStartingMarker('variant-change:render');
 
-        fetch(requestUrl, { signal: this.abortController.signal })
-          .then((response) => response.text())
-          .then((responseText) => {
+        SectionRenderer.fetchDocument(requestUrl, { supersede: `product-info-${this.sectionId}` })
+          .then((html) => {
             this.pendingRequestUrl = null;
-            const html = new DOMParser().parseFromString(responseText, 'text/html');
             callback(html);
+            StorefrontPerformance.measureFromMarker('variant-change:render', startMarker);
           })
           .then(() => {
             // set focus to last clicked option value
@@ -161,14 +238,17 @@ if (!customElements.get('product-info')) {
         }
       }
 
-      handleUpdateProductInfo(productUrl) {
+      // resolvedVariant: what renderVariant already showed, so only what differs from it is updated again
+      handleUpdateProductInfo(productUrl, resolvedVariant) {
         return (html) => {
           const variant = this.getSelectedVariant(html);
 
-          this.pickupAvailability?.update(variant);
           this.updateOptionValues(html);
-          this.updateURL(productUrl, variant?.id);
-          this.updateVariantInputs(variant?.id);
+          if (resolvedVariant === undefined || resolvedVariant?.id !== variant?.id) {
+            this.pickupAvailability?.update(variant);
+            this.updateURL(productUrl, variant?.id);
+            this.updateVariantInputs(variant?.id);
+          }
 
           if (!variant) {
             this.setUnavailable();
@@ -340,10 +420,9 @@ if (!customElements.get('product-info')) {
         if (!currentVariantId) return;
 
         this.querySelector('.quantity__rules-cart .loading__spinner').classList.remove('hidden');
-        return fetch(`${this.dataset.url}?variant=${currentVariantId}&section_id=${this.dataset.section}`)
-          .then((response) => response.text())
-          .then((responseText) => {
-            const html = new DOMParser().parseFromString(responseText, 'text/html');
+        const url = `${this.dataset.url}?variant=${currentVariantId}&section_id=${this.dataset.section}`;
+        return SectionRenderer.fetchDocument(url, { cache: false })
+          .then((html) => {
             this.updateQuantityRules(this.dataset.section, html);
           })
           .catch((e) => console.error(e))
@@ -397,6 +476,11 @@ if (!customElements.get('product-info')) {
         return document.querySelector(`#ProductModal-${this.dataset.section}`);
       }
 
+      get variantData() {
+        const variants = this.variantSelectors?.querySelector('[data-product-variants]')?.textContent;
+        return variants ? JSON.parse(variants) : null;
+      }
+
       get pickupAvailability() {
         return this.querySelector(`pickup-availability`);
       }
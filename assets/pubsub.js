@@ -1,25 +1,140 @@
-let subscribers = {};
+class EventBus {
+  static #wildcard = '*';
 
-function subscribe(eventName, callback) {
-  if (subscribers[eventName] === undefined) {
-    subscribers[eventName] = [];
+  #subscribers = new Map();
+  #lastEvents = new Map();
+
+  /**
+   * Registers a callback for an event name or a wildcard pattern (e.g. 'cart-*', or '*' for every event).
+   *
+   * Options:
+   * - once: remove the subscription after its first delivery
+   * - replay: immediately deliver the last event published under a matching name, so elements that connect
+   *   after the fact (e.g. a price-per-item rendered after a variant-change) still receive the current state
+   */
+  subscribe(pattern, callback, { once = false, replay = false } = {}) {
+    const subscriber = { callback, once, matcher: EventBus.#createMatcher(pattern) };
+    const subscribers = this.#subscribers.get(pattern) || [];
+    this.#subscribers.set(pattern, [...subscribers, subscriber]);
+
+    const unsubscribe = () => {
+      const remaining = (this.#subscribers.get(pattern) || []).filter((entry) => entry !== subscriber);
+      remaining.length ? this.#subscribers.set(pattern, remaining) : this.#subscribers.delete(pattern);
+    };
+
+    if (replay) {
+      queueMicrotask(() => {
+        for (const [eventName, data] of this.#lastEvents) {
+          if (!this.#isSubscribed(pattern, subscriber)) return;
+          if (subscriber.matcher(eventName)) this.#deliver(subscriber, eventName, data, unsubscribe);
+        }
+      });
+    }
+
+    subscriber.unsubscribe = unsubscribe;
+    return unsubscribe;
+  }
+
+  once(pattern, callback, options = {}) {
+    return this.subscribe(pattern, callback, { ...options, once: true });
+  }
+
+  /**
+   * Delivers an event to every matching subscriber. A subscriber that throws or rejects is logged and
+   * skipped, so it can no longer hide the event from the others. Resolves with the subscribers' results.
+   */
+  publish(eventName, data) {
+    if (EventBus.isDevelopmentMode) this.validate(eventName, data);
+
+    this.#lastEvents.set(eventName, data);
+
+    const deliveries = [];
+    for (const subscribers of this.#subscribers.values()) {
+      subscribers
+        .filter((subscriber) => subscriber.matcher(eventName))
+        .forEach((subscriber) => deliveries.push(this.#deliver(subscriber, eventName, data, subscriber.unsubscribe)));
+    }
+
+    return Promise.all(deliveries);
   }
 
-  subscribers[eventName] = [...subscribers[eventName], callback];
+  lastEvent(eventName) {
+    return this.#lastEvents.get(eventName);
+  }
+
+  validate(eventName, data) {
+    const schema = PUB_SUB_EVENT_SCHEMAS[eventName];
+    if (!schema) return true;
+
+    const problems = Object.entries(schema)
+      .map(([path, type]) => EventBus.#checkType(path, type, data))
+      .filter(Boolean);
+
+    if (problems.length) console.warn(`[pubsub] "${eventName}" payload does not match its schema:`, problems, data);
+    return problems.length === 0;
+  }
+
+  static get isDevelopmentMode() {
+    try {
+      return Boolean(window.Shopify?.designMode) || localStorage.getItem('pubsub:debug') === 'true';
+    } catch (e) {
+      return false;
+    }
+  }
 
-  return function unsubscribe() {
-    subscribers[eventName] = subscribers[eventName].filter((cb) => {
-      return cb !== callback;
-    });
-  };
+  #isSubscribed(pattern, subscriber) {
+    return (this.#subscribers.get(pattern) || []).includes(subscriber);
+  }
+
+  #deliver(subscriber, eventName, data, unsubscribe) {
+    if (subscriber.once) unsubscribe?.();
+
+    try {
+      return Promise.resolve(subscriber.callback(data, eventName)).catch((error) =>
+        EventBus.#reportError(eventName, error)
+      );
+    } catch (error) {
+      EventBus.#reportError(eventName, error);
+      return Promise.resolve();
+    }
+  }
+
+  static #reportError(eventName, error) {
+    console.error(`[pubsub] a "${eventName}" subscriber failed:`, error);
+  }
+
+  static #createMatcher(pattern) {
+    if (pattern === EventBus.#wildcard) return () => true;
+    if (!pattern.includes(EventBus.#wildcard)) return (eventName) => eventName === pattern;
+
+    const source = pattern
+      .split(EventBus.#wildcard)
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    const regex = new RegExp(`^${source}$`);
+    return (eventName) => regex.test(eventName);
+  }
+
+  // type is one of string|number|boolean|object|array|function|any, suffixed with '?' when the value may be missing
+  static #checkType(path, type, data) {
+    const optional = type.endsWith('?');
+    const expected = optional ? type.slice(0, -1) : type;
+    const value = path === '.' ? data : path.split('.').reduce((acc, key) => acc?.[key], data);
+
+    if (value === undefined || value === null) return optional ? null : `${path} is missing`;
+    if (expected === 'any') return null;
+
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    return actual === expected ? null : `${path} should be ${expected}, got ${actual}`;
+  }
+}
+
+const eventBus = new EventBus();
+
+function subscribe(eventName, callback, options) {
+  return eventBus.subscribe(eventName, callback, options);
 }
 
 function publish(eventName, data) {
-  if (subscribers[eventName]) {
-    const promises = subscribers[eventName]
-      .map((callback) => callback(data))
-    return Promise.all(promises);
-  } else {
-    return Promise.resolve()
-  }
+  return eventBus.publish(eventName, data);
 }
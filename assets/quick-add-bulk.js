@@ -87,10 +87,8 @@ if (!customElements.get('quick-add-bulk')) {
 
       onCartUpdate() {
         return new Promise((resolve, reject) => {
-          fetch(`${this.getSectionsUrl()}?section_id=${this.sectionId}`)
-            .then((response) => response.text())
-            .then((responseText) => {
-              const html = new DOMParser().parseFromString(responseText, 'text/html');
+          SectionRenderer.fetchDocument(`${this.getSectionsUrl()}?section_id=${this.sectionId}`)
+            .then((html) => {
               const sourceQty = html.querySelector(`#quick-add-bulk-${this.dataset.index}-${this.sectionId}`);
               if (sourceQty) {
                 this.innerHTML = sourceQty.innerHTML;
@@ -106,7 +104,9 @@ if (!customElements.get('quick-add-bulk')) {
 
       getSectionsUrl() {
         const pageParams = new URLSearchParams(window.location.search);
-        const pageNumber = decodeURIComponent(pageParams.get('page') || '');
+        // cards appended by collection-load-more come from later pages than the one in the URL
+        const pageNumber =
+          this.closest('[data-page]')?.dataset.page || decodeURIComponent(pageParams.get('page') || '');
 
         return `${window.location.pathname}${pageNumber ? `?page=${pageNumber}` : ''}`;
       }
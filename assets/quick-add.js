@@ -24,6 +24,7 @@ if (!customElements.get('quick-add-modal')) {
         opener.setAttribute('aria-disabled', true);
         opener.classList.add('loading');
         opener.querySelector('.loading__spinner').classList.remove('hidden');
+        const startMarker = StorefrontPerformance.createStartingMarker('quick-add:open');
 
         fetch(opener.getAttribute('data-product-url'))
           .then((response) => response.text())
@@ -40,6 +41,7 @@ if (!customElements.get('quick-add-modal')) {
             if (window.ProductModel) window.ProductModel.loadShopifyXR();
 
             super.show(opener);
+            StorefrontPerformance.measureFromMarker('quick-add:open', startMarker);
           })
           .finally(() => {
             opener.removeAttribute('aria-disabled');
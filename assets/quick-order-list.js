@@ -125,18 +125,20 @@ if (!customElements.get('quick-order-list')) {
       }
 
       validateInput(target) {
-        const targetValue = parseInt(target.value);
-        const targetMin = parseInt(target.dataset.min);
-        const targetStep = parseInt(target.step);
-
-        if (target.max) {
-          return (
-            targetValue == 0 ||
-            (targetValue >= targetMin && targetValue <= parseInt(target.max) && targetValue % targetStep == 0)
-          );
-        } else {
-          return targetValue == 0 || (targetValue >= targetMin && targetValue % targetStep == 0);
-        }
+        return !this.getQuantityRuleError(parseInt(target.value), {
+          min: parseInt(target.dataset.min),
+          max: target.max ? parseInt(target.max) : null,
+          step: parseInt(target.step),
+        });
+      }
+
+      // min/max/increment rules of a variant; 0 is always allowed since it removes the variant from the cart
+      getQuantityRuleError(value, { min, max, step }) {
+        if (value == 0) return null;
+        if (isNaN(value) || value < min) return window.quickOrderListStrings.min_error.replace('[min]', min);
+        if (max && value > max) return window.quickOrderListStrings.max_error.replace('[max]', max);
+        if (value % step != 0) return window.quickOrderListStrings.step_error.replace('[step]', step);
+        return null;
       }
 
       get quickOrderListTable() {
@@ -176,10 +178,11 @@ if (!customElements.get('quick-order-list')) {
       async refresh(pageNumber = null) {
         const url = this.dataset.url || window.location.pathname;
 
-        return fetch(`${url}?section_id=${this.dataset.section}&page=${pageNumber || this.currentPage}`)
-          .then((response) => response.text())
-          .then((responseText) => {
-            const html = new DOMParser().parseFromString(responseText, 'text/html');
+        return SectionRenderer.fetchDocument(
+          `${url}?section_id=${this.dataset.section}&page=${pageNumber || this.currentPage}`,
+          { cache: false, supersede: `quick-order-list-${this.id}` }
+        )
+          .then((html) => {
             const responseQuickOrderList = html.querySelector(`#${this.id}`);
 
             if (!responseQuickOrderList) {
@@ -190,7 +193,7 @@ if (!customElements.get('quick-order-list')) {
             this.initEventListeners();
           })
           .catch((e) => {
-            console.error(e);
+            if (e.name !== 'AbortError') console.error(e);
           });
       }
 
@@ -201,7 +204,7 @@ if (!customElements.get('quick-order-list')) {
           const sectionElement = document.getElementById(id);
           if (!sectionElement) return;
 
-          const newSection = new DOMParser().parseFromString(sections[section], 'text/html').querySelector(selector);
+          const newSection = SectionRenderer.parse(sections[section]).querySelector(selector);
 
           if (section === this.dataset.section) {
             if (this.queue.length > 0 || this.hasPendingQuantityUpdate) return;
@@ -218,6 +221,11 @@ if (!customElements.get('quick-order-list')) {
               total.innerHTML = newSection.querySelector('.quick-order-list__total').innerHTML;
             }
 
+            // keeps the cart quantities shown by the import preview current
+            const importVariants = this.querySelector('[data-import-variants]');
+            const newImportVariants = newSection.querySelector('[data-import-variants]');
+            if (importVariants && newImportVariants) importVariants.textContent = newImportVariants.textContent;
+
             const table = this.quickOrderListTable;
             const newTable = newSection.querySelector('.quick-order-list__table');
 
@@ -326,6 +334,7 @@ if (!customElements.get('quick-order-list')) {
       updateMultipleQty(items) {
         if (this.queue.length == 0) this.hasPendingQuantityUpdate = false;
 
+        const optimisticUpdate = this.applyOptimisticUpdate(items);
         this.toggleLoading(true);
         const url = this.dataset.url || window.location.pathname;
 
@@ -338,18 +347,25 @@ if (!customElements.get('quick-order-list')) {
         this.updateMessage();
         this.setErrorMessage();
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+        return fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
           .then((response) => response.text())
           .then(async (state) => {
             const parsedState = JSON.parse(state);
+            if (parsedState.status) {
+              this.rollbackOptimisticUpdate(optimisticUpdate, items, parsedState.description || parsedState.message);
+              return;
+            }
+
             this.renderSections(parsedState);
             publish(PUB_SUB_EVENTS.cartUpdate, {
               source: this.id,
               cartData: parsedState,
             });
+            return parsedState;
           })
           .catch((e) => {
             console.error(e);
+            optimisticUpdate.rollback();
             this.setErrorMessage(window.cartStrings.error);
           })
           .finally(() => {
@@ -358,6 +374,63 @@ if (!customElements.get('quick-order-list')) {
           });
       }
 
+      // the price of the largest volume pricing break the quantity reaches, as VariantMatrix.getUnitPrice
+      static getUnitPrice(row, quantity) {
+        const priceBreaks = JSON.parse(row.dataset.priceBreaks || '[]');
+        return priceBreaks.reduce(
+          (price, [minimum, breakPrice]) => (quantity >= minimum && breakPrice < price ? breakPrice : price),
+          parseInt(row.dataset.price)
+        );
+      }
+
+      // updates row totals, total items, subtotal and the cart count from the variant prices already on the page
+      applyOptimisticUpdate(items) {
+        const update = new OptimisticUpdate();
+        let quantityDelta = 0;
+        let priceDelta = 0;
+
+        Object.entries(items).forEach(([variantId, quantity]) => {
+          const row = this.querySelector(`#Variant-${variantId}`);
+          const input = this.querySelector(`#Quantity-${variantId}`);
+          const previousQuantity = parseInt(input?.dataset.cartQuantity);
+          if (!row || isNaN(parseInt(row.dataset.price)) || isNaN(previousQuantity)) return;
+
+          const lineTotal = QuickOrderList.getUnitPrice(row, quantity) * quantity;
+          quantityDelta += quantity - previousQuantity;
+          priceDelta += lineTotal - QuickOrderList.getUnitPrice(row, previousQuantity) * previousQuantity;
+          row
+            .querySelectorAll('.variant-item__totals .price')
+            .forEach((total) => update.setHTML(total, Shopify.formatMoney(lineTotal)));
+          update.setAttribute(input, 'data-cart-quantity', quantity);
+        });
+
+        const totalItems = this.querySelector('.quick-order-list__total-items span');
+        if (totalItems) update.setHTML(totalItems, parseInt(totalItems.textContent) + quantityDelta);
+
+        const subtotal = this.querySelector('.totals__subtotal-value[data-subtotal]');
+        if (subtotal) {
+          const subtotalPrice = parseInt(subtotal.dataset.subtotal) + priceDelta;
+          update.setHTML(subtotal, Shopify.formatMoney(subtotalPrice));
+          update.setAttribute(subtotal, 'data-subtotal', subtotalPrice);
+        }
+
+        update.adjustCartCount(quantityDelta);
+        return update;
+      }
+
+      rollbackOptimisticUpdate(optimisticUpdate, items, message) {
+        optimisticUpdate.rollback();
+
+        Object.keys(items).forEach((variantId) => {
+          const input = this.querySelector(`#Quantity-${variantId}`);
+          if (input) {
+            input.value = input.dataset.cartQuantity;
+            input.setAttribute('value', input.dataset.cartQuantity);
+          }
+          this.updateLiveRegions(variantId, message);
+        });
+      }
+
       setErrorMessage(message = null) {
         this.errorMessageTemplate =
           this.errorMessageTemplate ??
@@ -413,6 +486,7 @@ if (!customElements.get('quick-order-list')) {
 
       updateLiveRegions(id, message) {
         const variantItemErrorDesktop = document.getElementById(`Quick-order-list-item-error-desktop-${id}`);
+        const variantItemErrorMobile = document.getElementById(`Quick-order-list-item-error-mobile-${id}`);
         if (variantItemErrorDesktop) {
           variantItemErrorDesktop.querySelector('.variant-item__error-text').innerHTML = message;
           variantItemErrorDesktop.closest('tr').classList.remove('hidden');
@@ -422,7 +496,7 @@ if (!customElements.get('quick-order-list')) {
 
         this.querySelector('#shopping-cart-variant-item-status').setAttribute('aria-hidden', true);
 
-        const cartStatus = document.getElementById('quick-order-list-live-region-text');
+        const cartStatus = document.getElementById(`quick-order-list-live-region-text-${this.dataset.productId}`);
         cartStatus.setAttribute('aria-hidden', false);
 
         setTimeout(() => {
@@ -481,3 +555,207 @@ if (!customElements.get('quick-order-list-remove-all-button')) {
     }
   );
 }
+
+if (!customElements.get('quick-order-import')) {
+  customElements.define(
+    'quick-order-import',
+    class QuickOrderImport extends HTMLElement {
+      entries = [];
+
+      connectedCallback() {
+        this.textarea = this.querySelector('textarea');
+        this.previewElement = this.querySelector('.quick-order-import__preview');
+        this.statusElement = this.querySelector('.quick-order-import__status');
+
+        this.querySelector('input[type="file"]').addEventListener('change', this.onFileChange.bind(this));
+        this.querySelector('[data-action="preview"]').addEventListener('click', this.preview.bind(this));
+        this.querySelector('[data-action="commit"]').addEventListener('click', this.commit.bind(this));
+        this.querySelector('[data-action="cancel"]').addEventListener('click', () => this.reset());
+      }
+
+      get quickOrderList() {
+        return document.getElementById(this.dataset.quickOrderListId);
+      }
+
+      get variants() {
+        return JSON.parse(this.quickOrderList?.querySelector('[data-import-variants]')?.textContent || '[]');
+      }
+
+      async onFileChange(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        this.textarea.value = await file.text();
+        event.target.value = '';
+        this.preview();
+      }
+
+      preview() {
+        this.entries = this.resolve(QuickOrderImport.parse(this.textarea.value));
+        this.renderPreview();
+      }
+
+      // groups rows by variant, so a SKU listed twice is imported once with the summed quantity
+      resolve(rows) {
+        const variantsBySku = new Map(
+          this.variants.filter(({ sku }) => sku).map((variant) => [variant.sku.trim().toLowerCase(), variant])
+        );
+        // "st1012b" or "ST-1O12-B" for "ST-1012-B", when no SKU is spelled exactly as typed
+        const variantsByPartNumber = new Map(
+          Array.from(variantsBySku.values(), (variant) => [SkuSearch.normalize(variant.sku), variant])
+        );
+        const entries = new Map();
+
+        rows.forEach(({ sku, quantity }) => {
+          const variant =
+            variantsBySku.get(sku.toLowerCase()) || variantsByPartNumber.get(SkuSearch.normalize(sku));
+          const key = variant ? variant.id : `unmatched:${sku.toLowerCase()}`;
+          const entry = entries.get(key) || { sku, variant, quantity: 0 };
+
+          // NaN sticks, so one unreadable quantity marks the whole entry as invalid
+          entry.quantity += quantity;
+          entries.set(key, entry);
+        });
+
+        return Array.from(entries.values()).map((entry) => ({ ...entry, error: this.getEntryError(entry) }));
+      }
+
+      getEntryError({ sku, variant, quantity }) {
+        const strings = window.quickOrderListStrings;
+        if (!variant) return strings.importSkuNotFound.replace('[sku]', sku);
+        if (!Number.isInteger(quantity) || quantity < 0) return strings.importInvalidQuantity;
+        if (quantity > 0 && !variant.available) return window.variantStrings.soldOut;
+
+        return this.quickOrderList.getQuantityRuleError(quantity, variant);
+      }
+
+      renderPreview() {
+        const rows = this.entries.map(({ sku, variant, quantity, error }) => {
+          const row = document.createElement('tr');
+          row.classList.toggle('quick-order-import__row--error', Boolean(error));
+          [sku, variant?.title ?? '', variant?.cartQuantity ?? '', Number.isNaN(quantity) ? '' : quantity].forEach(
+            (value) => {
+              const cell = document.createElement('td');
+              cell.textContent = value;
+              row.appendChild(cell);
+            }
+          );
+
+          const status = document.createElement('td');
+          status.textContent = error || window.quickOrderListStrings.importReady;
+          row.appendChild(status);
+          return row;
+        });
+
+        this.querySelector('.quick-order-import__table tbody').replaceChildren(...rows);
+        this.previewElement.classList.toggle('hidden', this.entries.length === 0);
+
+        const validCount = this.entries.filter(({ error }) => !error).length;
+        this.querySelector('[data-action="commit"]').toggleAttribute('disabled', validCount === 0);
+        this.setStatus(
+          this.entries.length
+            ? window.quickOrderListStrings.importSummary
+                .replace('[count]', validCount)
+                .replace('[total]', this.entries.length)
+            : window.quickOrderListStrings.importEmpty
+        );
+      }
+
+      async commit() {
+        const validEntries = this.entries.filter(({ error }) => !error);
+        if (!validEntries.length) return;
+
+        const updates = validEntries.reduce((acc, { variant, quantity }) => ({ ...acc, [variant.id]: quantity }), {});
+        const commitButton = this.querySelector('[data-action="commit"]');
+        commitButton.setAttribute('disabled', true);
+
+        const cart = await this.quickOrderList.updateMultipleQty(updates);
+        if (!cart) {
+          commitButton.removeAttribute('disabled');
+          return;
+        }
+
+        this.reset();
+        this.setStatus(window.quickOrderListStrings.importDone.replace('[count]', validEntries.length));
+      }
+
+      reset() {
+        this.entries = [];
+        this.textarea.value = '';
+        this.previewElement.classList.add('hidden');
+        this.setStatus('');
+      }
+
+      setStatus(message) {
+        this.statusElement.textContent = message;
+      }
+
+      // rows of SKU and quantity from a CSV file (comma or semicolon separated) or cells pasted from a spreadsheet,
+      // which arrive tab separated; a header row naming the columns may pick them in any order
+      static parse(text) {
+        const lines = text.split(/\r?\n/).filter((line) => line.trim());
+        if (!lines.length) return [];
+
+        const delimiter = QuickOrderImport.detectDelimiter(text, lines[0]);
+        const rows = lines.map((line) => QuickOrderImport.splitLine(line, delimiter));
+
+        let skuIndex = 0;
+        let quantityIndex = 1;
+        const header = rows[0].map((cell) => cell.toLowerCase());
+        const headerSkuIndex = header.findIndex((cell) => /sku|part/.test(cell));
+        const headerQuantityIndex = header.findIndex((cell) => /qty|quantity/.test(cell));
+
+        if (headerSkuIndex !== -1 || headerQuantityIndex !== -1) {
+          skuIndex = headerSkuIndex !== -1 ? headerSkuIndex : skuIndex;
+          quantityIndex = headerQuantityIndex !== -1 ? headerQuantityIndex : quantityIndex;
+          rows.shift();
+        } else if (Number.isNaN(QuickOrderImport.parseQuantity(rows[0][quantityIndex]))) {
+          // an unnamed header row ("Item", "Amount"...)
+          rows.shift();
+        }
+
+        return rows
+          .map((cells) => ({
+            sku: (cells[skuIndex] || '').trim(),
+            quantity: QuickOrderImport.parseQuantity(cells[quantityIndex]),
+          }))
+          .filter(({ sku }) => sku);
+      }
+
+      static detectDelimiter(text, firstLine) {
+        if (text.includes('\t')) return '\t';
+        return firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+      }
+
+      static splitLine(line, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let index = 0; index < line.length; index++) {
+          const char = line[index];
+          if (quoted && char === '"' && line[index + 1] === '"') {
+            cell += '"';
+            index++;
+          } else if (char === '"') {
+            quoted = !quoted;
+          } else if (char === delimiter && !quoted) {
+            cells.push(cell.trim());
+            cell = '';
+          } else {
+            cell += char;
+          }
+        }
+
+        cells.push(cell.trim());
+        return cells;
+      }
+
+      // spreadsheets may export "1,000" or "1 000"; anything that is not a whole number is NaN
+      static parseQuantity(value = '') {
+        const normalized = value.replace(/[\s,']/g, '');
+        return /^\d+$/.test(normalized) ? parseInt(normalized) : NaN;
+      }
+    }
+  );
+}
@@ -0,0 +1,426 @@
+/**
+ * Request-for-quote basket: products collected with "Add to quote" buttons on product cards and product pages, kept in
+ * localStorage so the basket follows the buyer across pages and tabs.
+ *
+ * A line is `{ key, productId, variantId, title, variantTitle, sku, url, image, quantity, note }`. Lines are keyed by
+ * variant, or by product when they are added without one (product cards of multi-variant products, the quote page
+ * search). `<quote-drawer>` shows the basket on every page, the way `CartDrawer` shows the cart. On the quote page,
+ * `<quote-request-form>` lists the same lines and serializes them into the contact form body when it is submitted.
+ */
+class QuoteBasket {
+  static EVENTS = {
+    change: 'quote-basket:change',
+    add: 'quote-basket:add',
+  };
+  static STORAGE_KEY = 'quote-basket';
+  static LINE_LIMIT = 100;
+
+  static init() {
+    // keeps drawers of other open tabs in sync
+    window.addEventListener('storage', (event) => {
+      if (event.key === QuoteBasket.STORAGE_KEY) QuoteBasket.#notify();
+    });
+  }
+
+  static getLines() {
+    try {
+      return JSON.parse(localStorage.getItem(QuoteBasket.STORAGE_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static get count() {
+    return QuoteBasket.getLines().length;
+  }
+
+  // Line urls can come from a crafted link: keep paths on this store only, else fall back to this page.
+  static safeUrl(value) {
+    try {
+      const url = new URL(value, window.location.origin);
+      if (url.origin === window.location.origin && /^https?:$/.test(url.protocol)) {
+        return `${url.pathname}${url.search}${url.hash}`;
+      }
+    } catch (e) {
+      // not a url
+    }
+    return window.location.pathname;
+  }
+
+  static add({ productId, variantId = null, title, variantTitle = '', sku = '', url, image = null, quantity = 1 }) {
+    const lines = QuoteBasket.getLines();
+    const key = variantId ? `${variantId}` : `product-${productId}`;
+    let line = lines.find((candidate) => candidate.key === key);
+
+    if (line) {
+      line.quantity += QuoteBasket.#sanitizeQuantity(quantity);
+    } else {
+      line = { key, productId, variantId, title, variantTitle, sku, url: QuoteBasket.safeUrl(url), image, note: '' };
+      line.quantity = QuoteBasket.#sanitizeQuantity(quantity);
+      lines.push(line);
+    }
+
+    QuoteBasket.#write(lines.slice(-QuoteBasket.LINE_LIMIT));
+    document.dispatchEvent(new CustomEvent(QuoteBasket.EVENTS.add, { detail: { line } }));
+    return line;
+  }
+
+  static update(key, { quantity, note }) {
+    const lines = QuoteBasket.getLines().map((line) => {
+      if (line.key !== key) return line;
+      return {
+        ...line,
+        quantity: quantity === undefined ? line.quantity : QuoteBasket.#sanitizeQuantity(quantity),
+        note: note === undefined ? line.note : note,
+      };
+    });
+    QuoteBasket.#write(lines);
+  }
+
+  static remove(key) {
+    QuoteBasket.#write(QuoteBasket.getLines().filter((line) => line.key !== key));
+  }
+
+  static clear() {
+    QuoteBasket.#write([]);
+  }
+
+  /**
+   * Plain-text quote request sent as the contact form body:
+   *
+   *   Quote request (2 items)
+   *
+   *   1. Pump seal kit – 1-1/2"
+   *      Quantity: 10
+   *      SKU: PSK-150
+   *      Note: needed before June
+   *      https://shop.example/products/pump-seal-kit?variant=123
+   *
+   *   Additional comments:
+   *   <comments>
+   */
+  static serialize(lines, comments = '') {
+    const strings = window.quoteBasketStrings;
+    const items = lines.map((line, index) => {
+      const details = [
+        `${index + 1}. ${line.title}${line.variantTitle ? ` – ${line.variantTitle}` : ''}`,
+        `   ${strings.quantity}: ${line.quantity}`,
+      ];
+      if (line.sku) details.push(`   ${strings.sku}: ${line.sku}`);
+      if (line.note.trim()) details.push(`   ${strings.note}: ${line.note.trim().replace(/\s*\n\s*/g, ' ')}`);
+      details.push(`   ${new URL(QuoteBasket.safeUrl(line.url), window.location.origin).href}`);
+      return details.join('\n');
+    });
+
+    return [
+      strings.bodyHeading.replace('[count]', lines.length),
+      '',
+      items.join('\n\n'),
+      '',
+      strings.commentsHeading,
+      comments.trim(),
+    ].join('\n');
+  }
+
+  // The body comes back from the server when the form has errors; only the comments are kept so lines are not doubled
+  static getComments(body) {
+    const strings = window.quoteBasketStrings;
+    const heading = strings.bodyHeading.split('[count]')[0];
+    if (!heading || !body.startsWith(heading)) return body;
+
+    const commentsIndex = body.indexOf(`\n${strings.commentsHeading}\n`);
+    return commentsIndex === -1 ? '' : body.slice(commentsIndex + strings.commentsHeading.length + 2);
+  }
+
+  static #sanitizeQuantity(quantity) {
+    return Math.max(parseInt(quantity) || 1, 1);
+  }
+
+  static #write(lines) {
+    try {
+      localStorage.setItem(QuoteBasket.STORAGE_KEY, JSON.stringify(lines));
+    } catch (e) {
+      console.warn('[quote-basket] the basket could not be saved:', e);
+    }
+    QuoteBasket.#notify();
+  }
+
+  static #notify() {
+    document.dispatchEvent(new CustomEvent(QuoteBasket.EVENTS.change));
+  }
+}
+
+QuoteBasket.init();
+
+if (!customElements.get('quote-basket-lines')) {
+  customElements.define(
+    'quote-basket-lines',
+    class QuoteBasketLines extends HTMLElement {
+      constructor() {
+        super();
+        this.onBasketChange = this.render.bind(this);
+        this.onNoteInput = debounce((key, note) => QuoteBasket.update(key, { note }), ON_CHANGE_DEBOUNCE_TIMER);
+      }
+
+      connectedCallback() {
+        this.list = this.querySelector('.quote-basket__lines');
+        this.template = this.querySelector('.quote-basket__line-template');
+
+        this.list.addEventListener('change', this.onChange.bind(this));
+        this.list.addEventListener('input', this.onInput.bind(this));
+        this.list.addEventListener('click', this.onClick.bind(this));
+        document.addEventListener(QuoteBasket.EVENTS.change, this.onBasketChange);
+        this.render();
+      }
+
+      disconnectedCallback() {
+        document.removeEventListener(QuoteBasket.EVENTS.change, this.onBasketChange);
+      }
+
+      // Lines are reused by key, so the field being edited keeps its focus and caret when the basket changes
+      render() {
+        const lines = QuoteBasket.getLines();
+        const existingItems = new Map(
+          Array.from(this.list.querySelectorAll('[data-key]'), (item) => [item.dataset.key, item])
+        );
+
+        const keys = new Set(lines.map(({ key }) => key));
+        existingItems.forEach((item, key) => !keys.has(key) && item.remove());
+
+        lines.forEach((line, index) => {
+          const item = existingItems.get(line.key) || this.createItem(line);
+          this.updateField(item.querySelector('[name="quantity"]'), line.quantity);
+          this.updateField(item.querySelector('[name="note"]'), line.note);
+          if (this.list.children[index] !== item) this.list.insertBefore(item, this.list.children[index] || null);
+        });
+
+        this.classList.toggle('is-empty', lines.length === 0);
+      }
+
+      createItem(line) {
+        const item = this.template.content.firstElementChild.cloneNode(true);
+        const id = `${this.id}-${line.key}`;
+        item.dataset.key = line.key;
+
+        const link = item.querySelector('.quote-basket__title');
+        // lines stored before urls were checked may hold anything
+        link.href = QuoteBasket.safeUrl(line.url);
+        link.textContent = line.title;
+        item.querySelector('.quote-basket__variant').textContent = [line.variantTitle, line.sku]
+          .filter(Boolean)
+          .join(' · ');
+
+        const image = item.querySelector('.quote-basket__image');
+        if (line.image) {
+          image.src = line.image;
+        } else {
+          image.remove();
+        }
+
+        item.querySelectorAll('[data-field]').forEach((field) => {
+          field.id = `${id}-${field.dataset.field}`;
+          item.querySelector(`label[data-for="${field.dataset.field}"]`)?.setAttribute('for', field.id);
+        });
+        item
+          .querySelector('[data-action="remove"]')
+          .setAttribute('aria-label', window.quoteBasketStrings.remove.replace('[title]', line.title));
+
+        return item;
+      }
+
+      updateField(field, value) {
+        if (field && document.activeElement !== field && field.value !== `${value}`) field.value = value;
+      }
+
+      onChange(event) {
+        if (event.target.name !== 'quantity') return;
+        QuoteBasket.update(event.target.closest('[data-key]').dataset.key, { quantity: event.target.value });
+      }
+
+      onInput(event) {
+        if (event.target.name !== 'note') return;
+        this.onNoteInput(event.target.closest('[data-key]').dataset.key, event.target.value);
+      }
+
+      onClick(event) {
+        const button = event.target.closest('[data-action="remove"]');
+        if (!button) return;
+
+        const item = button.closest('[data-key]');
+        // moves focus to a neighbour, the removed line takes the focused button with it
+        const nextFocus = (item.nextElementSibling || item.previousElementSibling)?.querySelector('input');
+        QuoteBasket.remove(item.dataset.key);
+        (nextFocus || this.closest('[tabindex="-1"]'))?.focus();
+      }
+    }
+  );
+}
+
+if (!customElements.get('quote-drawer')) {
+  customElements.define(
+    'quote-drawer',
+    class QuoteDrawer extends HTMLElement {
+      constructor() {
+        super();
+
+        this.addEventListener('keyup', (event) => event.code === 'Escape' && this.close());
+        this.querySelector('.quote-drawer__overlay').addEventListener('click', this.close.bind(this));
+        this.onBasketChange = this.updateCount.bind(this);
+        this.onBasketAdd = this.onAdd.bind(this);
+
+        document.addEventListener('click', (event) => {
+          const toggle = event.target.closest('[data-quote-drawer-toggle]');
+          if (!toggle) return;
+
+          event.preventDefault();
+          this.open(toggle);
+        });
+      }
+
+      connectedCallback() {
+        document.addEventListener(QuoteBasket.EVENTS.change, this.onBasketChange);
+        document.addEventListener(QuoteBasket.EVENTS.add, this.onBasketAdd);
+        this.updateCount();
+      }
+
+      disconnectedCallback() {
+        document.removeEventListener(QuoteBasket.EVENTS.change, this.onBasketChange);
+        document.removeEventListener(QuoteBasket.EVENTS.add, this.onBasketAdd);
+      }
+
+      open(triggeredBy) {
+        if (triggeredBy) this.activeElement = triggeredBy;
+        setTimeout(() => {
+          this.classList.add('animate', 'active');
+        });
+
+        this.addEventListener(
+          'transitionend',
+          () => trapFocus(this.querySelector('.quote-drawer__inner'), this.querySelector('.quote-drawer__inner')),
+          { once: true }
+        );
+
+        document.body.classList.add('overflow-hidden');
+      }
+
+      close() {
+        this.classList.remove('active');
+        removeTrapFocus(this.activeElement);
+        document.body.classList.remove('overflow-hidden');
+      }
+
+      onAdd(event) {
+        // the quote page lists the basket itself
+        if (document.querySelector('quote-request-form')) return;
+
+        const status = this.querySelector('.quote-drawer__status');
+        status.textContent = window.quoteBasketStrings.added.replace('[title]', event.detail.line.title);
+        this.open(document.activeElement);
+      }
+
+      updateCount() {
+        const count = QuoteBasket.count;
+        this.classList.toggle('is-empty', count === 0);
+        document.querySelectorAll('.quote-basket-count').forEach((element) => {
+          element.textContent = count;
+          element.hidden = count === 0;
+        });
+        document.querySelectorAll('.quote-drawer__toggle').forEach((toggle) => (toggle.hidden = count === 0));
+      }
+    }
+  );
+}
+
+if (!customElements.get('add-to-quote-button')) {
+  customElements.define(
+    'add-to-quote-button',
+    class AddToQuoteButton extends HTMLElement {
+      constructor() {
+        super();
+        this.querySelector('button').addEventListener('click', this.onClick.bind(this));
+      }
+
+      variantChangeUnsubscriber = undefined;
+
+      connectedCallback() {
+        if (!this.dataset.sectionId) return;
+
+        // product pages: follow the selected variant
+        this.variantChangeUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.variantChange,
+          ({ data }) => {
+            if (data.sectionId !== this.dataset.sectionId || !data.variant) return;
+
+            this.dataset.variantId = data.variant.id;
+            this.dataset.variantTitle = data.variant.title === 'Default Title' ? '' : data.variant.title;
+            this.dataset.sku = data.variant.sku || '';
+            this.dataset.image = data.variant.featured_image?.src || this.dataset.image;
+          },
+          { replay: true }
+        );
+      }
+
+      disconnectedCallback() {
+        if (this.variantChangeUnsubscriber) this.variantChangeUnsubscriber();
+      }
+
+      onClick() {
+        const { productId, variantId, title, variantTitle, sku, url, image, sectionId } = this.dataset;
+        const quantityInput = sectionId ? document.getElementById(`Quantity-${sectionId}`) : null;
+
+        QuoteBasket.add({
+          productId,
+          variantId: variantId || null,
+          title,
+          variantTitle,
+          sku,
+          url: variantId ? `${url.split('?')[0]}?variant=${variantId}` : url,
+          image,
+          quantity: quantityInput?.value || 1,
+        });
+      }
+    }
+  );
+}
+
+if (!customElements.get('quote-request-form')) {
+  customElements.define(
+    'quote-request-form',
+    class QuoteRequestForm extends HTMLElement {
+      connectedCallback() {
+        this.form = document.getElementById(this.dataset.form);
+        this.body = this.form?.querySelector('textarea');
+
+        if (this.form?.querySelector('[data-quote-posted]')) QuoteBasket.clear();
+        if (this.body) this.body.value = QuoteBasket.getComments(this.body.value);
+
+        this.addFromUrl();
+        this.form?.addEventListener('submit', this.onSubmit.bind(this));
+      }
+
+      // "Request to quote" links from product pages: /pages/request-to-quote?product_id=…&product=…&product_url=…
+      addFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.get('product_id') || !params.get('product')) return;
+
+        QuoteBasket.add({
+          productId: params.get('product_id'),
+          variantId: params.get('variant_id') || null,
+          title: params.get('product'),
+          url: params.get('product_url') || window.location.pathname,
+        });
+
+        ['product', 'product_id', 'product_url', 'variant_id'].forEach((name) => params.delete(name));
+        const search = params.toString() ? `?${params}` : '';
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}`);
+      }
+
+      onSubmit() {
+        const lines = QuoteBasket.getLines();
+        if (!lines.length || !this.body) return;
+
+        this.body.value = QuoteBasket.serialize(lines, this.body.value);
+      }
+    }
+  );
+}
@@ -0,0 +1,146 @@
+/**
+ * Products the buyer looked at recently, most recent first, kept in localStorage.
+ *
+ * A product is `{ id, handle, title, vendor, url, image, imageAlt, price, viewedAt }`. Product pages record themselves
+ * when their `<product-info>` connects, from the `<script type="application/json" data-recently-viewed-product>` tag
+ * rendered by the `recently-viewed-product` snippet.
+ */
+class RecentlyViewed {
+  static EVENTS = {
+    change: 'recently-viewed:change',
+  };
+  static STORAGE_KEY = 'recently-viewed';
+  static LIMIT = 12;
+
+  static init() {
+    window.addEventListener('storage', (event) => {
+      if (event.key === RecentlyViewed.STORAGE_KEY) RecentlyViewed.#notify();
+    });
+  }
+
+  static getProducts() {
+    try {
+      return JSON.parse(localStorage.getItem(RecentlyViewed.STORAGE_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static record(product) {
+    const products = RecentlyViewed.getProducts().filter(({ handle }) => handle !== product.handle);
+    RecentlyViewed.#write([{ ...product, viewedAt: Date.now() }, ...products]);
+  }
+
+  static remove(handle) {
+    RecentlyViewed.#write(RecentlyViewed.getProducts().filter((product) => product.handle !== handle));
+  }
+
+  static #write(products) {
+    try {
+      localStorage.setItem(RecentlyViewed.STORAGE_KEY, JSON.stringify(products.slice(0, RecentlyViewed.LIMIT)));
+    } catch (e) {
+      return;
+    }
+    RecentlyViewed.#notify();
+  }
+
+  static #notify() {
+    document.dispatchEvent(new CustomEvent(RecentlyViewed.EVENTS.change));
+  }
+}
+
+RecentlyViewed.init();
+
+/**
+ * Cards of the recently viewed products, rendered by the `recently-viewed-products` section through the Section
+ * Rendering API: the section is rendered on the search page for a query matching the products by id, so the cards use
+ * the `card-product` markup, prices and availability of the moment. Search ranks by relevance, so the cards are put
+ * back in the order the products were viewed.
+ *
+ * `data-section-id` is the section that renders the cards, `data-limit` how many to show and `data-exclude` the handle
+ * of a product to leave out, e.g. the one on the page.
+ */
+if (!customElements.get('recently-viewed-products')) {
+  customElements.define(
+    'recently-viewed-products',
+    class RecentlyViewedProducts extends HTMLElement {
+      constructor() {
+        super();
+        this.onChange = this.render.bind(this);
+        this.renderedKey = null;
+      }
+
+      connectedCallback() {
+        this.list = this.querySelector('[data-recently-viewed-list]');
+        this.addEventListener('click', this.onClick.bind(this));
+        document.addEventListener(RecentlyViewed.EVENTS.change, this.onChange);
+        this.render();
+      }
+
+      disconnectedCallback() {
+        document.removeEventListener(RecentlyViewed.EVENTS.change, this.onChange);
+      }
+
+      get products() {
+        return RecentlyViewed.getProducts()
+          .filter(({ handle }) => handle !== this.dataset.exclude)
+          .slice(0, parseInt(this.dataset.limit) || RecentlyViewed.LIMIT);
+      }
+
+      getUrl(products) {
+        const params = new URLSearchParams({
+          q: products.map(({ id }) => `id:${id}`).join(' OR '),
+          type: 'product',
+          'options[unavailable_products]': 'last',
+          section_id: this.dataset.sectionId,
+        });
+        return `${routes.search_url}?${params}`;
+      }
+
+      async render() {
+        const products = this.products;
+        const key = products.map(({ id }) => id).join(',');
+        // a removed card is already gone: nothing to fetch unless another product takes its place
+        if (key === this.renderedKey) return;
+        this.renderedKey = key;
+
+        if (!products.length) {
+          this.list.replaceChildren();
+          this.hidden = true;
+          return;
+        }
+
+        try {
+          const html = await SectionRenderer.fetchDocument(this.getUrl(products));
+          if (key !== this.renderedKey) return;
+
+          const items = new Map(
+            Array.from(html.querySelectorAll('[data-recently-viewed-list] > [data-product-id]'), (item) => [
+              item.dataset.productId,
+              item,
+            ])
+          );
+          const cards = products.map(({ id }) => items.get(String(id))).filter(Boolean);
+          this.list.replaceChildren(...cards.map((item) => document.importNode(item, true)));
+          this.hidden = cards.length === 0;
+        } catch (error) {
+          if (error.name !== 'AbortError') console.error(error);
+        }
+      }
+
+      onClick(event) {
+        const button = event.target.closest('[data-recently-viewed-remove]');
+        if (!button) return;
+
+        const item = button.closest('[data-product-id]');
+        const sibling = item.nextElementSibling || item.previousElementSibling;
+        item.remove();
+        sibling?.querySelector('[data-recently-viewed-remove]')?.focus();
+
+        this.renderedKey = Array.from(this.list.children, ({ dataset }) => dataset.productId).join(',');
+        this.hidden = !this.list.children.length;
+        RecentlyViewed.remove(item.dataset.productHandle);
+      }
+    }
+  );
+}
@@ -36,13 +36,17 @@ if (!customElements.get('recipient-form')) {
           }
         });
 
-        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, (event) => {
-          if (event.data.sectionId === this.dataset.sectionId) {
-            this.currentProductVariantId = event.data.variant.id.toString();
-          }
-        });
+        this.variantChangeUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.variantChange,
+          (event) => {
+            if (event.data.sectionId === this.dataset.sectionId) {
+              this.currentProductVariantId = event.data.variant.id.toString();
+            }
+          },
+          { replay: true }
+        );
 
-        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartError, (event) => {
+        this.cartErrorUnsubscriber = subscribe(PUB_SUB_EVENTS.cartError, (event) => {
           if (event.source === 'product-form' && event.productVariantId.toString() === this.currentProductVariantId) {
             this.displayErrorMessage(event.message, event.errors);
           }
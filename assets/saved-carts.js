@@ -0,0 +1,355 @@
+/**
+ * Named order lists ("saved carts") for buyers who reorder the same kits.
+ *
+ * A list is `{ id, name, createdAt, updatedAt, items: [{ variantId, quantity, title, sku }] }`. Lists are kept by a
+ * storage adapter, any object with `load()` and `save(lists)` returning promises:
+ * - `MetafieldSavedCartStorage` for logged-in customers: lists are read from the `custom.saved_carts` customer
+ *   metafield rendered into the page, and written through the endpoint set in the theme settings (an app proxy, since
+ *   the storefront cannot write metafields itself)
+ * - `LocalSavedCartStorage` for guests, or when no endpoint is configured
+ *
+ * Another adapter can be installed with `SavedCarts.useStorage(adapter)`.
+ *
+ * Loading a list sends one batched `updates` payload to `/cart/update.js`, like `QuickOrderList.updateMultipleQty`.
+ * On the cart page it goes through `CartItems.updateMultiple`, so the cart sections are re-rendered in place.
+ */
+class LocalSavedCartStorage {
+  constructor(storageKey = 'saved-carts') {
+    this.storageKey = storageKey;
+  }
+
+  async load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  async save(lists) {
+    localStorage.setItem(this.storageKey, JSON.stringify(lists));
+  }
+}
+
+class MetafieldSavedCartStorage {
+  constructor({ endpoint, lists }) {
+    this.endpoint = endpoint;
+    this.lists = Array.isArray(lists) ? lists : [];
+  }
+
+  async load() {
+    return this.lists;
+  }
+
+  async save(lists) {
+    const response = await fetch(this.endpoint, { ...fetchConfig(), body: JSON.stringify({ lists }) });
+    if (!response.ok) throw new Error(`Saving lists failed with status ${response.status}`);
+
+    this.lists = lists;
+  }
+}
+
+class SavedCarts {
+  static SOURCE = 'saved-carts';
+  static EVENTS = {
+    change: 'saved-carts:change',
+  };
+  static MODES = {
+    merge: 'merge',
+    replace: 'replace',
+  };
+
+  static #storage = null;
+  static #lists = null;
+
+  static get storage() {
+    if (!SavedCarts.#storage) SavedCarts.#storage = SavedCarts.createDefaultStorage();
+    return SavedCarts.#storage;
+  }
+
+  static createDefaultStorage() {
+    const { endpoint, customerId, lists } = window.savedCartsConfig || {};
+    if (customerId && endpoint) return new MetafieldSavedCartStorage({ endpoint, lists });
+
+    return new LocalSavedCartStorage(customerId ? `saved-carts:${customerId}` : 'saved-carts');
+  }
+
+  static useStorage(storage) {
+    SavedCarts.#storage = storage;
+    SavedCarts.#lists = null;
+    SavedCarts.#notify();
+  }
+
+  static async getLists() {
+    if (!SavedCarts.#lists) SavedCarts.#lists = await SavedCarts.storage.load();
+    return SavedCarts.#lists;
+  }
+
+  static async getList(id) {
+    return (await SavedCarts.getLists()).find((list) => list.id === id);
+  }
+
+  static async saveCurrentCart(name) {
+    const cart = await fetch(`${routes.cart_url}.js`).then((response) => response.json());
+    if (!cart.items.length) {
+      throw Object.assign(new Error('The cart is empty'), { description: window.savedCartStrings.emptyCart });
+    }
+
+    const now = Date.now();
+    const list = {
+      id: `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: name.trim(),
+      createdAt: now,
+      updatedAt: now,
+      // properties and selling plans cannot be sent through `updates`, so a list only keeps variants and quantities
+      items: SavedCarts.#mergeItems(
+        cart.items.map((item) => ({
+          variantId: item.variant_id,
+          quantity: item.quantity,
+          title: item.title,
+          sku: item.sku,
+        }))
+      ),
+    };
+
+    await SavedCarts.#write([...(await SavedCarts.getLists()), list]);
+    return list;
+  }
+
+  static async rename(id, name) {
+    const lists = (await SavedCarts.getLists()).map((list) =>
+      list.id === id ? { ...list, name: name.trim(), updatedAt: Date.now() } : list
+    );
+    await SavedCarts.#write(lists);
+  }
+
+  static async remove(id) {
+    await SavedCarts.#write((await SavedCarts.getLists()).filter((list) => list.id !== id));
+  }
+
+  /**
+   * Adds a list to the cart (merge: quantities are added to what is already there) or makes the cart match the
+   * list (replace: lines that are not in the list are removed). Resolves with the cart returned by the server.
+   */
+  static async loadIntoCart(id, mode = SavedCarts.MODES.merge) {
+    const list = await SavedCarts.getList(id);
+    if (!list) return null;
+
+    const cart = await fetch(`${routes.cart_url}.js`).then((response) => response.json());
+    const updates = SavedCarts.buildUpdates(list, cart, mode);
+
+    const cartItems = document.querySelector('cart-items');
+    if (cartItems?.updateMultiple) return cartItems.updateMultiple(updates);
+
+    return SavedCarts.#sendUpdates(updates);
+  }
+
+  /**
+   * `updates` accepts variant ids and line item keys. Lines already in the cart are updated by key, so a variant on
+   * several lines (different line item properties) keeps them; a variant id only adds a variant that isn't there yet.
+   */
+  static buildUpdates(list, cart, mode) {
+    const updates = {};
+    const listVariantIds = new Set(list.items.map(({ variantId }) => variantId));
+
+    if (mode === SavedCarts.MODES.replace) {
+      cart.items
+        .filter(({ variant_id }) => !listVariantIds.has(variant_id))
+        .forEach(({ key }) => (updates[key] = 0));
+    }
+
+    list.items.forEach(({ variantId, quantity }) => {
+      const [line, ...otherLines] = cart.items.filter(({ variant_id }) => variant_id === variantId);
+      if (!line) {
+        updates[variantId] = quantity;
+        return;
+      }
+
+      // merge adds the saved quantity to one line; replace leaves the variant on one line with the saved quantity
+      if (mode === SavedCarts.MODES.merge) {
+        updates[line.key] = line.quantity + quantity;
+      } else {
+        updates[line.key] = quantity;
+        otherLines.forEach(({ key }) => (updates[key] = 0));
+      }
+    });
+
+    return updates;
+  }
+
+  static async #sendUpdates(updates) {
+    const body = JSON.stringify({
+      updates,
+      sections: ['cart-icon-bubble'],
+      sections_url: window.location.pathname,
+    });
+
+    const parsedState = await fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } }).then((response) =>
+      response.json()
+    );
+    if (parsedState.status) {
+      throw Object.assign(new Error(parsedState.message), { description: parsedState.description });
+    }
+
+    const cartIconBubble = document.getElementById('cart-icon-bubble');
+    if (cartIconBubble && parsedState.sections?.['cart-icon-bubble']) {
+      cartIconBubble.innerHTML = SectionRenderer.getSectionInnerHTML(parsedState.sections['cart-icon-bubble']);
+    }
+
+    publish(PUB_SUB_EVENTS.cartUpdate, { source: SavedCarts.SOURCE, cartData: parsedState });
+    return parsedState;
+  }
+
+  static #mergeItems(items) {
+    return Object.values(
+      items.reduce((merged, item) => {
+        const existing = merged[item.variantId];
+        merged[item.variantId] = existing ? { ...existing, quantity: existing.quantity + item.quantity } : item;
+        return merged;
+      }, {})
+    );
+  }
+
+  static async #write(lists) {
+    await SavedCarts.storage.save(lists);
+    SavedCarts.#lists = lists;
+    SavedCarts.#notify();
+  }
+
+  static #notify() {
+    document.dispatchEvent(new CustomEvent(SavedCarts.EVENTS.change));
+  }
+}
+
+if (!customElements.get('saved-cart-lists')) {
+  customElements.define(
+    'saved-cart-lists',
+    class SavedCartLists extends HTMLElement {
+      constructor() {
+        super();
+        this.onListsChange = this.render.bind(this);
+      }
+
+      connectedCallback() {
+        this.list = this.querySelector('.saved-cart-lists__list');
+        this.template = this.querySelector('.saved-cart-lists__item-template');
+        this.statusElement = this.querySelector('.saved-cart-lists__status');
+
+        this.querySelector('.saved-cart-lists__save')?.addEventListener('submit', this.onSave.bind(this));
+        this.list.addEventListener('click', this.onAction.bind(this));
+        document.addEventListener(SavedCarts.EVENTS.change, this.onListsChange);
+        this.render();
+      }
+
+      disconnectedCallback() {
+        document.removeEventListener(SavedCarts.EVENTS.change, this.onListsChange);
+      }
+
+      async render() {
+        const lists = await SavedCarts.getLists();
+        this.querySelector('.saved-cart-lists__empty').classList.toggle('hidden', lists.length > 0);
+
+        this.list.replaceChildren(
+          ...lists.map((list) => {
+            const item = this.template.content.firstElementChild.cloneNode(true);
+            const quantity = list.items.reduce((total, { quantity }) => total + quantity, 0);
+
+            item.dataset.listId = list.id;
+            item.querySelector('.saved-cart-lists__name').textContent = list.name;
+            item.querySelector('.saved-cart-lists__meta').textContent = (
+              quantity === 1 ? window.savedCartStrings.itemCountOne : window.savedCartStrings.itemCountOther
+            ).replace('[count]', quantity);
+            return item;
+          })
+        );
+      }
+
+      async onSave(event) {
+        event.preventDefault();
+        const form = event.currentTarget;
+        const name = form.elements.name.value;
+        if (!name.trim()) return;
+
+        await this.runAction(form.querySelector('button'), async () => {
+          await SavedCarts.saveCurrentCart(name);
+          form.reset();
+          return window.savedCartStrings.saved.replace('[name]', name.trim());
+        });
+      }
+
+      onAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { listId } = button.closest('[data-list-id]').dataset;
+        const action = button.dataset.action;
+
+        if (action === 'rename') return this.startRename(button.closest('[data-list-id]'));
+
+        this.runAction(button, async () => {
+          const list = await SavedCarts.getList(listId);
+
+          if (action === 'delete') {
+            await SavedCarts.remove(listId);
+            return window.savedCartStrings.deleted.replace('[name]', list.name);
+          }
+
+          await SavedCarts.loadIntoCart(listId, action);
+          return window.savedCartStrings.loaded.replace('[name]', list.name);
+        });
+      }
+
+      startRename(item) {
+        const name = item.querySelector('.saved-cart-lists__name');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'saved-cart-lists__rename field__input';
+        input.value = name.textContent;
+        input.setAttribute('aria-label', window.savedCartStrings.renameLabel);
+
+        let done = false;
+        const finish = (save) => {
+          if (done) return;
+          done = true;
+          if (save && input.value.trim() && input.value.trim() !== name.textContent) {
+            this.runAction(null, () => SavedCarts.rename(item.dataset.listId, input.value));
+          } else {
+            this.render();
+          }
+        };
+
+        input.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter') finish(true);
+          if (event.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        name.replaceWith(input);
+        input.select();
+      }
+
+      async runAction(button, action) {
+        // a second click while the first is running would load the list into the cart twice
+        if (button?.getAttribute('aria-disabled') === 'true') return;
+        button?.setAttribute('aria-disabled', true);
+        this.setStatus('');
+
+        try {
+          const message = await action();
+          if (message) this.setStatus(message);
+        } catch (error) {
+          console.error(error);
+          // errors carry a `description` when the server (or the list itself) explains what went wrong
+          this.setStatus(error.description || window.savedCartStrings.error, true);
+        } finally {
+          button?.removeAttribute('aria-disabled');
+        }
+      }
+
+      setStatus(message, isError = false) {
+        this.statusElement.textContent = message;
+        this.statusElement.classList.toggle('saved-cart-lists__status--error', isError);
+      }
+    }
+  );
+}
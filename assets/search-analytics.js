@@ -0,0 +1,306 @@
+/**
+ * Records what buyers search for, so zero-result queries can be fixed with synonyms or new products.
+ *
+ * A search is recorded once it is settled, with how it ended: `selected` (a result was opened, with its position),
+ * `submitted` (predictive search sent to the search page), `refined` (replaced by a different query, or paged) or
+ * `abandoned` (closed, cleared or left without opening anything). While a buyer is typing, predictive search reports
+ * every rendered query with `begin`; a query that extends or shortens the previous one replaces it, so "p", "pu" and
+ * "pump" are one search.
+ *
+ * A record is `{ query, source, results, outcome, position, pageType, timestamp }`. Records are kept in localStorage
+ * first, for `<search-analytics-report>`, and queued for `window.searchAnalytics.endpoint`, which receives them in
+ * batches with `navigator.sendBeacon`. The queue survives page loads, so nothing is lost while the endpoint is
+ * unreachable or not configured yet. Nothing is recorded or sent while `window.searchAnalytics.enabled` is off, or
+ * while the buyer hasn't allowed analytics through Shopify's Customer Privacy API.
+ */
+class SearchAnalytics {
+  static EVENTS = {
+    record: 'search-analytics:record',
+  };
+  static BATCH_SIZE = 10;
+  static LOG_LIMIT = 500;
+  static QUEUE_LIMIT = 200;
+
+  static #logKey = 'search-analytics:log';
+  static #queueKey = 'search-analytics:queue';
+  static #pending = new Map();
+
+  static get config() {
+    return {
+      enabled: false,
+      endpoint: '',
+      pageType: null,
+      ...window.searchAnalytics,
+    };
+  }
+
+  // stores without the Customer Privacy API loaded have no consent to check
+  static get isAllowed() {
+    const privacy = window.Shopify?.customerPrivacy;
+    return SearchAnalytics.config.enabled && (privacy?.analyticsProcessingAllowed?.() ?? true);
+  }
+
+  static init() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') SearchAnalytics.flush();
+    });
+    window.addEventListener('pagehide', () => {
+      SearchAnalytics.#pending.forEach((search, source) => SearchAnalytics.end(source, 'abandoned'));
+      SearchAnalytics.flush();
+    });
+
+    SearchAnalytics.flush();
+  }
+
+  // case and spacing insensitive, so "Pump  Seal" and "pump seal" count as one query
+  static normalize(query) {
+    return query.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  static begin(source, { query, results }) {
+    const search = { query: SearchAnalytics.normalize(query), results };
+    if (!search.query || !SearchAnalytics.isAllowed) return;
+
+    const pending = SearchAnalytics.#pending.get(source);
+    const isRetyped = pending && (search.query.startsWith(pending.query) || pending.query.startsWith(search.query));
+    if (pending && !isRetyped) SearchAnalytics.end(source, 'refined');
+
+    SearchAnalytics.#pending.set(source, search);
+  }
+
+  static end(source, outcome, { position = null } = {}) {
+    const search = SearchAnalytics.#pending.get(source);
+    if (!search) return;
+
+    SearchAnalytics.#pending.delete(source);
+    SearchAnalytics.record({ ...search, source, outcome, position });
+  }
+
+  static isPending(source) {
+    return SearchAnalytics.#pending.has(source);
+  }
+
+  static record({ query, source, results, outcome, position = null }) {
+    if (!SearchAnalytics.isAllowed) return;
+
+    const record = {
+      query: SearchAnalytics.normalize(query),
+      source,
+      results,
+      outcome,
+      position,
+      pageType: SearchAnalytics.config.pageType,
+      timestamp: Date.now(),
+    };
+
+    SearchAnalytics.#write(SearchAnalytics.#logKey, [...SearchAnalytics.getLog(), record], SearchAnalytics.LOG_LIMIT);
+    const queue = [...SearchAnalytics.#read(SearchAnalytics.#queueKey), record];
+    SearchAnalytics.#write(SearchAnalytics.#queueKey, queue, SearchAnalytics.QUEUE_LIMIT);
+    document.dispatchEvent(new CustomEvent(SearchAnalytics.EVENTS.record, { detail: record }));
+
+    if (queue.length >= SearchAnalytics.BATCH_SIZE) SearchAnalytics.flush();
+  }
+
+  static flush() {
+    const { endpoint } = SearchAnalytics.config;
+    const queue = SearchAnalytics.#read(SearchAnalytics.#queueKey);
+    if (!endpoint || !queue.length || !SearchAnalytics.isAllowed) return;
+
+    const body = JSON.stringify({ url: window.location.pathname, searches: queue });
+    const blob = new Blob([body], { type: 'application/json' });
+    // a refused beacon keeps the queue for the next flush
+    if (!navigator.sendBeacon?.(endpoint, blob)) return;
+
+    SearchAnalytics.#write(SearchAnalytics.#queueKey, [], SearchAnalytics.QUEUE_LIMIT);
+  }
+
+  static getLog() {
+    return SearchAnalytics.#read(SearchAnalytics.#logKey);
+  }
+
+  static clearLog() {
+    localStorage.removeItem(SearchAnalytics.#logKey);
+    document.dispatchEvent(new CustomEvent(SearchAnalytics.EVENTS.record));
+  }
+
+  // one row per query, most searched first
+  static summarize(log = SearchAnalytics.getLog()) {
+    const queries = new Map();
+
+    log.forEach(({ query, results, outcome, position, timestamp }) => {
+      const summary = queries.get(query) || {
+        query,
+        searches: 0,
+        zeroResults: 0,
+        selected: 0,
+        abandoned: 0,
+        positions: [],
+        lastSearchedAt: 0,
+      };
+
+      summary.searches += 1;
+      if (results === 0) summary.zeroResults += 1;
+      if (outcome === 'abandoned') summary.abandoned += 1;
+      if (outcome === 'selected') {
+        summary.selected += 1;
+        if (position) summary.positions.push(position);
+      }
+      summary.lastSearchedAt = Math.max(summary.lastSearchedAt, timestamp);
+      queries.set(query, summary);
+    });
+
+    return Array.from(queries.values(), ({ positions, ...summary }) => ({
+      ...summary,
+      averagePosition: positions.length ? positions.reduce((sum, value) => sum + value, 0) / positions.length : null,
+    })).sort((a, b) => b.searches - a.searches || b.lastSearchedAt - a.lastSearchedAt);
+  }
+
+  static #read(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static #write(key, records, limit) {
+    try {
+      localStorage.setItem(key, JSON.stringify(records.slice(-limit)));
+    } catch (e) {
+      // storage full or disabled: searching works the same, this search just isn't counted
+    }
+  }
+}
+
+SearchAnalytics.init();
+
+if (!customElements.get('search-analytics-report')) {
+  customElements.define(
+    'search-analytics-report',
+    class SearchAnalyticsReport extends HTMLElement {
+      static LIMIT = 20;
+
+      constructor() {
+        super();
+        this.onRecord = debounce(this.render.bind(this), 250);
+      }
+
+      connectedCallback() {
+        this.classList.add('search-analytics-report');
+        this.innerHTML = `
+          <div class="search-analytics-report__header">
+            <strong>Search report</strong>
+            <button type="button" class="search-analytics-report__copy">Copy</button>
+            <button type="button" class="search-analytics-report__clear">Clear</button>
+            <button type="button" class="search-analytics-report__toggle" aria-expanded="false">+</button>
+          </div>
+          <div class="search-analytics-report__body" hidden>
+            <p class="search-analytics-report__totals"></p>
+            <table class="search-analytics-report__table">
+              <caption>Top zero-result queries</caption>
+              <thead>
+                <tr><th scope="col">Query</th><th scope="col">Searches</th><th scope="col">Last</th></tr>
+              </thead>
+              <tbody data-report="zero-results"></tbody>
+            </table>
+            <table class="search-analytics-report__table">
+              <caption>Most abandoned queries</caption>
+              <thead>
+                <tr><th scope="col">Query</th><th scope="col">Abandoned</th><th scope="col">Searches</th></tr>
+              </thead>
+              <tbody data-report="abandoned"></tbody>
+            </table>
+            <p class="search-analytics-report__note">Searches recorded in this browser.</p>
+          </div>
+        `;
+
+        this.querySelector('.search-analytics-report__copy').addEventListener('click', this.copy.bind(this));
+        this.querySelector('.search-analytics-report__clear').addEventListener('click', () =>
+          SearchAnalytics.clearLog()
+        );
+        this.querySelector('.search-analytics-report__toggle').addEventListener('click', (event) => {
+          const expanded = event.currentTarget.getAttribute('aria-expanded') === 'true';
+          event.currentTarget.setAttribute('aria-expanded', !expanded);
+          event.currentTarget.textContent = expanded ? '+' : '–';
+          this.querySelector('.search-analytics-report__body').hidden = expanded;
+        });
+
+        document.addEventListener(SearchAnalytics.EVENTS.record, this.onRecord);
+        this.render();
+      }
+
+      disconnectedCallback() {
+        document.removeEventListener(SearchAnalytics.EVENTS.record, this.onRecord);
+      }
+
+      get zeroResultQueries() {
+        return SearchAnalytics.summarize()
+          .filter(({ zeroResults }) => zeroResults > 0)
+          .sort((a, b) => b.zeroResults - a.zeroResults || b.lastSearchedAt - a.lastSearchedAt);
+      }
+
+      get abandonedQueries() {
+        return SearchAnalytics.summarize()
+          .filter(({ abandoned }) => abandoned > 0)
+          .sort((a, b) => b.abandoned - a.abandoned || b.searches - a.searches);
+      }
+
+      render() {
+        const log = SearchAnalytics.getLog();
+        const zeroResults = log.filter(({ results }) => results === 0).length;
+        const abandoned = log.filter(({ outcome }) => outcome === 'abandoned').length;
+        const percent = (count) => (log.length ? `${Math.round((count / log.length) * 100)}%` : '–');
+        this.querySelector('.search-analytics-report__totals').textContent =
+          `${log.length} searches, ${percent(zeroResults)} without results, ${percent(abandoned)} abandoned`;
+
+        this.renderRows(
+          'zero-results',
+          this.zeroResultQueries.map(({ query, zeroResults, lastSearchedAt }) => [
+            query,
+            zeroResults,
+            new Date(lastSearchedAt).toLocaleDateString(),
+          ])
+        );
+        this.renderRows(
+          'abandoned',
+          this.abandonedQueries.map(({ query, abandoned, searches }) => [query, abandoned, searches])
+        );
+      }
+
+      renderRows(report, rows) {
+        const tbody = this.querySelector(`[data-report="${report}"]`);
+        tbody.replaceChildren(
+          ...rows.slice(0, SearchAnalyticsReport.LIMIT).map((values) => {
+            const row = document.createElement('tr');
+            values.forEach((value, index) => {
+              const cell = document.createElement(index === 0 ? 'th' : 'td');
+              if (index === 0) cell.scope = 'row';
+              cell.textContent = value;
+              row.appendChild(cell);
+            });
+            return row;
+          })
+        );
+      }
+
+      // tab separated, so it pastes into a spreadsheet as columns
+      async copy(event) {
+        const button = event.currentTarget;
+        const lines = [
+          ['query', 'searches', 'zero results', 'selected', 'abandoned', 'average position'].join('\t'),
+          ...this.zeroResultQueries.map(({ query, searches, zeroResults, selected, abandoned, averagePosition }) =>
+            [query, searches, zeroResults, selected, abandoned, averagePosition?.toFixed(1) ?? ''].join('\t')
+          ),
+        ];
+
+        try {
+          await navigator.clipboard.writeText(lines.join('\n'));
+          button.textContent = 'Copied';
+        } catch (error) {
+          button.textContent = 'Copy failed';
+        }
+        setTimeout(() => (button.textContent = 'Copy'), 2000);
+      }
+    }
+  );
+}
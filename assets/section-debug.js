@@ -25,278 +25,14 @@
 
   const DEBUG_MODAL_ID = 'section-debug-modal';
 
-  /**
-   * Convert RGB to HEX
-   */
-  function rgbToHex(rgb) {
-    if (!rgb || rgb === 'transparent' || rgb === 'rgba(0, 0, 0, 0)') {
-      return 'transparent';
-    }
-    const match = rgb.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-    if (!match) return rgb;
-    const r = parseInt(match[1]).toString(16).padStart(2, '0');
-    const g = parseInt(match[2]).toString(16).padStart(2, '0');
-    const b = parseInt(match[3]).toString(16).padStart(2, '0');
-    return `#${r}${g}${b}`.toUpperCase();
-  }
-
-  /**
-   * Get element selector for display
-   */
-  function getElementSelector(el) {
-    let selector = el.tagName.toLowerCase();
-    if (el.id) selector += '#' + el.id;
-    if (el.className && typeof el.className === 'string') {
-      const classes = el.className.split(' ').filter(c => c.trim() && !c.startsWith('shopify')).slice(0, 3);
-      if (classes.length) selector += '.' + classes.join('.');
-    }
-    return selector;
-  }
-
-  /**
-   * Get the primary class name for file location hint
-   */
-  function getPrimaryClass(el) {
-    if (!el.className || typeof el.className !== 'string') return null;
-    const classes = el.className.split(' ').filter(c => c.trim() && !c.startsWith('shopify') && !c.startsWith('color-'));
-    return classes[0] || null;
-  }
-
-  /**
-   * Guess file location based on class names
-   */
-  function guessFileLocation(className, sectionType) {
-    if (!className) return null;
-
-    // Common patterns
-    const patterns = [
-      // Section-specific classes
-      { regex: /^testimonial/, file: 'sections/testimonials.liquid' },
-      { regex: /^header2/, file: 'sections/header2.liquid' },
-      { regex: /^footer/, file: 'sections/footer.liquid' },
-      { regex: /^features-bar/, file: 'sections/features-bar.liquid' },
-      { regex: /^features-icons/, file: 'sections/features-icons.liquid' },
-      { regex: /^product-card/, file: 'snippets/product-card.liquid' },
-      { regex: /^product-grid/, file: 'sections/product-grid.liquid' },
-      { regex: /^banner/, file: 'sections/banner-image-hero.liquid' },
-      { regex: /^video-hero/, file: 'sections/hero-video.liquid' },
-      { regex: /^wholesale/, file: 'sections/wholesale-*.liquid' },
-      { regex: /^contact/, file: 'sections/contact-form.liquid' },
-      { regex: /^cta-banner/, file: 'sections/cta-banner.liquid' },
-      { regex: /^brand/, file: 'sections/brands-grid.liquid' },
-      // Generic patterns
-      { regex: /^card/, file: 'snippets/card-*.liquid' },
-      { regex: /^button/, file: 'assets/base.css' },
-      { regex: /^rte/, file: 'snippets/article-*.liquid' },
-    ];
-
-    for (const pattern of patterns) {
-      if (pattern.regex.test(className)) {
-        return pattern.file;
-      }
-    }
-
-    // Default: try section type
-    if (sectionType) {
-      return `sections/${sectionType}.liquid`;
-    }
-
-    return 'assets/theme-toggle.css (dark mode overrides)';
-  }
-
-  /**
-   * Get CSS variable if used
-   */
-  function getCSSVariable(el, property) {
-    // Check inline style for var() usage
-    const inlineStyle = el.getAttribute('style') || '';
-    const varMatch = inlineStyle.match(new RegExp(`${property}:\\s*var\\(([^)]+)\\)`));
-    if (varMatch) return varMatch[1];
-
-    return null;
-  }
+  // Scans shared with the audit core (style-audit.js)
+  const { getSectionType, getSectionId } = StyleAudit;
 
   /**
    * Scan all components within a section
    */
   function scanSectionComponents(section) {
-    const components = [];
-    const sectionType = getSectionType(section);
-
-    // Get section info first
-    const sectionStyles = window.getComputedStyle(section);
-    components.push({
-      element: 'Section Container',
-      selector: getElementSelector(section),
-      className: getPrimaryClass(section),
-      textColor: rgbToHex(sectionStyles.color),
-      bgColor: rgbToHex(sectionStyles.backgroundColor),
-      fileHint: guessFileLocation(getPrimaryClass(section), sectionType),
-      isSection: true
-    });
-
-    // Find notable child elements
-    const selectors = [
-      // Headings
-      'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-      // Text containers
-      'p', 'blockquote', '.rte',
-      // Cards and containers
-      '[class*="card"]', '[class*="item"]', '[class*="block"]',
-      // Media elements (important for debugging images)
-      '.media', '[class*="media"]', 'img', 'picture', 'video',
-      // Specific components
-      '[class*="badge"]', '[class*="tag"]', '[class*="pill"]',
-      '[class*="button"]', '[class*="btn"]',
-      '[class*="icon"]', '[class*="star"]',
-      '[class*="nav"]', '[class*="dot"]',
-      '[class*="customer"]', '[class*="service"]',
-      '[class*="quote"]', '[class*="text"]',
-      '[class*="heading"]', '[class*="title"]', '[class*="description"]',
-      // Form elements
-      'input', 'textarea', 'select', 'label',
-    ];
-
-    const seen = new Set();
-
-    selectors.forEach(selector => {
-      try {
-        const elements = section.querySelectorAll(selector);
-        elements.forEach(el => {
-          // Skip if already processed
-          if (seen.has(el)) return;
-          if (el.closest('#' + DEBUG_MODAL_ID)) return;
-
-          // Check if hidden (but still include imgs and media for debugging)
-          const isMediaElement = el.tagName === 'IMG' || el.classList.contains('media') || el.closest('.media');
-          const isHidden = el.offsetParent === null && el.tagName !== 'BODY';
-          if (isHidden && !isMediaElement) return;
-
-          let className = getPrimaryClass(el);
-          // For img elements without classes, use tag name
-          if (!className && el.tagName === 'IMG') {
-            className = 'img';
-          }
-          if (!className) return; // Skip elements without meaningful classes
-
-          // Skip duplicates by class (but allow multiple images)
-          if (seen.has(className) && el.tagName !== 'IMG') return;
-          seen.add(className);
-          seen.add(el);
-
-          const styles = window.getComputedStyle(el);
-          const textColor = rgbToHex(styles.color);
-          const bgColor = rgbToHex(styles.backgroundColor);
-          const borderColor = rgbToHex(styles.borderColor);
-
-          // For images, always include them for debugging
-          const isImage = el.tagName === 'IMG';
-
-          // Only include if it has meaningful styling OR is an image/media
-          if (textColor !== 'transparent' || bgColor !== 'transparent' || isImage || isMediaElement) {
-            // Get layout properties
-            const display = styles.display;
-            const position = styles.position;
-            const width = styles.width;
-            const height = styles.height;
-            const aspectRatio = styles.aspectRatio;
-            const objectFit = el.tagName === 'IMG' ? styles.objectFit : null;
-            const paddingBottom = styles.paddingBottom;
-            const visibility = styles.visibility;
-            const opacity = styles.opacity;
-
-            // Check for CSS variable in inline style
-            const inlineStyle = el.getAttribute('style') || '';
-            const ratioVar = inlineStyle.match(/--ratio-percent:\s*([^;]+)/);
-
-            // Image-specific properties
-            let imgSrc = null;
-            let imgNaturalSize = null;
-            let imgLoaded = null;
-            if (isImage) {
-              imgSrc = el.src ? (el.src.length > 80 ? el.src.substring(0, 80) + '...' : el.src) : 'NO SRC';
-              imgNaturalSize = el.naturalWidth && el.naturalHeight ? `${el.naturalWidth}×${el.naturalHeight}` : 'not loaded';
-              imgLoaded = el.complete && el.naturalHeight > 0;
-            }
-
-            components.push({
-              element: el.tagName.toLowerCase(),
-              selector: getElementSelector(el),
-              className: className,
-              textColor: textColor,
-              textVar: getCSSVariable(el, 'color'),
-              bgColor: bgColor,
-              bgVar: getCSSVariable(el, 'background-color'),
-              borderColor: borderColor !== 'transparent' ? borderColor : null,
-              fileHint: guessFileLocation(className, sectionType),
-              fontSize: styles.fontSize,
-              fontWeight: styles.fontWeight,
-              // Layout properties
-              display: display,
-              position: position !== 'static' ? position : null,
-              width: width,
-              height: height,
-              aspectRatio: aspectRatio !== 'auto' ? aspectRatio : null,
-              objectFit: objectFit !== 'fill' ? objectFit : null,
-              paddingBottom: paddingBottom !== '0px' ? paddingBottom : null,
-              ratioVar: ratioVar ? ratioVar[1].trim() : null,
-              // Visibility
-              visibility: visibility !== 'visible' ? visibility : null,
-              opacity: opacity !== '1' ? opacity : null,
-              isHidden: isHidden,
-              // Image-specific
-              imgSrc: imgSrc,
-              imgNaturalSize: imgNaturalSize,
-              imgLoaded: imgLoaded
-            });
-          }
-        });
-      } catch (e) {
-        // Invalid selector, skip
-      }
-    });
-
-    return components;
-  }
-
-  /**
-   * Extract section type from section element
-   */
-  function getSectionType(section) {
-    if (section.dataset.sectionType) {
-      return section.dataset.sectionType;
-    }
-
-    const innerWithType = section.querySelector('[data-section-type]');
-    if (innerWithType && innerWithType.dataset.sectionType) {
-      return innerWithType.dataset.sectionType;
-    }
-
-    const sectionId = section.id || '';
-    const idMatch = sectionId.match(/shopify-section-(?:template--\d+--)?([a-z0-9-]+)/i);
-    if (idMatch && idMatch[1]) {
-      let type = idMatch[1];
-      type = type.replace(/_[a-zA-Z0-9]+$/, '');
-      type = type.replace(/-\d+$/, '');
-      return type;
-    }
-
-    const classes = Array.from(section.classList);
-    for (const cls of classes) {
-      if (cls.startsWith('section-') && cls !== 'section-padding') {
-        return cls.replace('section-', '');
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Get section ID (cleaned up)
-   */
-  function getSectionId(section) {
-    const fullId = section.id || '';
-    return fullId.replace('shopify-section-', '') || 'unknown';
+    return StyleAudit.scanSectionComponents(section, { exclude: '#' + DEBUG_MODAL_ID });
   }
 
   /**
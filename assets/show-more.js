@@ -2,25 +2,44 @@ if (!customElements.get('show-more-button')) {
   customElements.define(
     'show-more-button',
     class ShowMoreButton extends HTMLElement {
+      // ids of the filters shown in full, so they stay expanded when facets.js re-renders them
+      static expanded = new Set();
+
       constructor() {
         super();
         const button = this.querySelector('button');
         button.addEventListener('click', (event) => {
-          this.expandShowMore(event);
+          this.expandShowMore();
           const nextElementToFocus = event.target.closest('.parent-display').querySelector('.show-more-item');
           if (nextElementToFocus && !nextElementToFocus.classList.contains('hidden') && nextElementToFocus.querySelector('input')) {
             nextElementToFocus.querySelector('input').focus();
           }
         });
       }
-      expandShowMore(event) {
-        const parentDisplay = event.target.closest('[id^="Show-More-"]').closest('.parent-display');
+
+      connectedCallback() {
+        const isCollapsed = !this.querySelector('.label-show-more').classList.contains('hidden');
+        if (isCollapsed && ShowMoreButton.expanded.has(this.filterId)) this.expandShowMore();
+      }
+
+      get filterId() {
+        return this.closest('.js-filter')?.id;
+      }
+
+      expandShowMore() {
+        const parentDisplay = this.closest('.parent-display');
         const parentWrap = parentDisplay.querySelector('.parent-wrap');
         this.querySelectorAll('.label-text').forEach((element) => element.classList.toggle('hidden'));
         parentDisplay.querySelectorAll('.show-more-item').forEach((item) => item.classList.toggle('hidden'));
         if (!this.querySelector('.label-show-less')) {
           this.classList.add('hidden');
         }
+
+        if (this.querySelector('.label-show-more').classList.contains('hidden')) {
+          ShowMoreButton.expanded.add(this.filterId);
+        } else {
+          ShowMoreButton.expanded.delete(this.filterId);
+        }
       }
     }
   );
@@ -0,0 +1,162 @@
+/**
+ * Part-number aware product search, used by predictive search and the request-for-quote product search.
+ *
+ * Buyers type part numbers the way they read them: "ST-1012-B", "st1012b", "ST 1012 B", or "ST-1O12-B" with a letter
+ * O. A query shaped like a part number is sent to the predictive search endpoint in several spellings (as typed,
+ * without separators, with dashes or spaces between letters and digits, with O/0 and I/1 mix-ups fixed), with SKUs
+ * among the searched fields. The products found are merged, their variants read from the product JSON, and ranked by
+ * how closely a variant SKU matches the query once both are normalized (`SkuSearch.normalize`).
+ *
+ * A result is `{ product, variant, sku, url, score, exact }`, where `product` is the predictive search product and
+ * `variant` the product JSON variant with the best matching SKU (null when no SKU matches).
+ */
+class SkuSearch {
+  static QUERY_LIMIT = 6;
+  static PRODUCT_LIMIT = 8;
+  static FIELDS = 'title,product_type,variants.title,variants.sku,vendor';
+
+  static #products = new Map();
+
+  // every word has a digit or is a short prefix/suffix ("ST 1012 B"), so "pump 12v" is searched as words
+  static isPartNumber(term) {
+    const words = term.trim().split(/\s+/);
+    const compact = SkuSearch.compact(term);
+    return (
+      /\d/.test(compact) &&
+      /^[a-z0-9]{3,30}$/i.test(compact) &&
+      words.length <= 4 &&
+      words.every((word) => /\d/.test(word) || word.length <= 3)
+    );
+  }
+
+  static compact(term) {
+    return term.replace(/[\s\-_./]/g, '');
+  }
+
+  // case-folded, without separators, with letters that look like digits read as digits
+  static normalize(sku) {
+    return SkuSearch.compact(sku).toUpperCase().replace(/O/g, '0').replace(/[IL]/g, '1');
+  }
+
+  static getQueries(term) {
+    const typed = term.trim();
+    const compact = SkuSearch.compact(typed);
+    // letters mistyped for digits next to digits ("1O12"), and digits mistyped for letters between letters ("B0X")
+    const digitsFixed = compact.replace(/[oOiIl](?=\d)|(?<=\d)[oOiIl]/g, (character) =>
+      /[oO]/.test(character) ? '0' : '1'
+    );
+    const lettersFixed = digitsFixed.replace(/(?<=[a-z])[01](?=[a-z])/gi, (character) =>
+      character === '0' ? 'O' : 'I'
+    );
+    const split = (text, separator) => text.replace(/(?<=[a-z])(?=\d)|(?<=\d)(?=[a-z])/gi, separator);
+
+    const queries = [typed, compact, digitsFixed, split(digitsFixed, '-'), split(digitsFixed, ' '), lettersFixed];
+    const unique = new Map(queries.map((query) => [query.toLowerCase(), query]));
+    return Array.from(unique.values()).slice(0, SkuSearch.QUERY_LIMIT);
+  }
+
+  static async search(term, { signal } = {}) {
+    const queries = SkuSearch.getQueries(term);
+    const responses = await Promise.all(queries.map((query) => SkuSearch.#suggest(query, { signal })));
+
+    // products found by more spellings, and ranked higher by each, come first when no SKU decides
+    const candidates = new Map();
+    responses.forEach((products) => {
+      products.forEach((product, index) => {
+        const candidate = candidates.get(product.id) || { product, hits: 0, position: Infinity };
+        candidate.hits += 1;
+        candidate.position = Math.min(candidate.position, index);
+        candidates.set(product.id, candidate);
+      });
+    });
+
+    const ranked = Array.from(candidates.values())
+      .sort((a, b) => b.hits - a.hits || a.position - b.position)
+      .slice(0, SkuSearch.PRODUCT_LIMIT);
+    const wanted = SkuSearch.normalize(term);
+
+    const results = await Promise.all(
+      ranked.map(async ({ product, hits }) => {
+        const url = product.url.split('?')[0];
+        const variants = await SkuSearch.#getVariants(url, { signal }).catch((error) => {
+          if (error.name === 'AbortError') throw error;
+          return [];
+        });
+
+        const matches = variants
+          .filter((variant) => variant.sku)
+          .map((variant) => ({ variant, score: SkuSearch.score(SkuSearch.normalize(variant.sku), wanted) }))
+          .sort((a, b) => b.score - a.score);
+        const best = matches[0]?.score > 0 ? matches[0] : null;
+
+        return {
+          product,
+          variant: best?.variant || null,
+          sku: best?.variant.sku || '',
+          url: best ? `${url}?variant=${best.variant.id}` : url,
+          score: (best?.score || 0) + hits,
+          exact: best?.score === 100,
+        };
+      })
+    );
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  static score(sku, wanted) {
+    if (sku === wanted) return 100;
+    if (sku.startsWith(wanted)) return 80;
+    if (sku.includes(wanted)) return 60;
+    if (wanted.includes(sku)) return 40;
+    return 0;
+  }
+
+  // the SKU as HTML, with the part matching the query in a <mark>, compared the way `normalize` compares
+  static highlight(sku, term) {
+    const escape = (text) => text.replace(/[&<>"']/g, (character) => `&#${character.charCodeAt(0)};`);
+    const wanted = SkuSearch.normalize(term);
+
+    // position in the normalized SKU => position in the SKU as written
+    const positions = [];
+    Array.from(sku).forEach((character, index) => {
+      if (SkuSearch.compact(character)) positions.push(index);
+    });
+
+    const start = SkuSearch.normalize(sku).indexOf(wanted);
+    if (!wanted || start === -1) return escape(sku);
+
+    const from = positions[start];
+    const to = positions[start + wanted.length - 1] + 1;
+    return `${escape(sku.slice(0, from))}<mark>${escape(sku.slice(from, to))}</mark>${escape(sku.slice(to))}`;
+  }
+
+  static async #suggest(query, { signal }) {
+    const params = new URLSearchParams({
+      q: query,
+      'resources[type]': 'product',
+      'resources[limit]': 10,
+      'resources[options][fields]': SkuSearch.FIELDS,
+    });
+    const response = await fetch(`${routes.predictive_search_url}.json?${params}`, { signal });
+    if (!response.ok) throw new Error(response.status);
+
+    const { resources } = await response.json();
+    return resources.results.products || [];
+  }
+
+  // predictive search products don't include SKUs, the product JSON does
+  static #getVariants(url, { signal }) {
+    if (!SkuSearch.#products.has(url)) {
+      const request = fetch(`${url}.js`, { signal })
+        .then((response) => {
+          if (!response.ok) throw new Error(response.status);
+          return response.json();
+        })
+        .then(({ variants }) => variants);
+      request.catch(() => SkuSearch.#products.delete(url));
+      SkuSearch.#products.set(url, request);
+    }
+
+    return SkuSearch.#products.get(url);
+  }
+}
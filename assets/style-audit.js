@@ -0,0 +1,965 @@
+/**
+ * Style Audit
+ * The scans behind the style and section debuggers, without any UI: each takes a document and returns plain data.
+ * Runs in the storefront (window.StyleAudit, used by style-debug.js and section-debug.js) and in Node
+ * (require('./assets/style-audit.js'), used by scripts/style-audit-cli.js on HTML snapshots).
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StyleAudit = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // How far a value may be from a token and still be meant as that token: flagged as a near miss of it
+  const TOLERANCE = {
+    fontSize: 2,
+    spacing: 2,
+    // distance in RGB
+    color: 12
+  };
+
+  // Colors that don't need a token
+  const NEUTRAL_COLORS = ['#FFFFFF', '#000000'];
+
+  // Issue categories, in report order
+  const CATEGORIES = ['fontFamily', 'fontSize', 'fontWeight', 'color', 'spacing', 'conflicts'];
+
+  // What a baseline keeps, and how its diff is grouped
+  const BASELINE_CATEGORIES = ['fontSize', 'color', 'spacing', 'conflicts', 'variables'];
+
+  // Elements whose styles are scanned
+  const SCANNED_ELEMENTS =
+    'body *:not(script):not(style):not(svg):not(path):not(circle):not(line):not(rect):not(polygon)';
+
+  // Parse spacing value to pixels
+  function parseSpacingValue(value) {
+    if (!value || value === 'auto' || value === 'normal') return null;
+    const num = parseFloat(value);
+    if (isNaN(num) || num === 0) return null;
+    return num;
+  }
+
+  // Normalize font family string for comparison
+  function normalizeFontFamily(fontFamily) {
+    return fontFamily.toLowerCase().replace(/['"]/g, '').trim();
+  }
+
+  // Check if font family matches expected system fonts
+  function isExpectedFontFamily(fontFamily) {
+    const normalized = normalizeFontFamily(fontFamily);
+    const systemFonts = [
+      'system-ui', '-apple-system', 'blinkmacsystemfont', 'segoe ui',
+      'roboto', 'helvetica neue', 'arial', 'sans-serif', 'noto sans',
+      'liberation sans', 'helvetica'
+    ];
+
+    // Check if it contains any system font
+    return systemFonts.some(sf => normalized.includes(sf));
+  }
+
+  // Convert RGB to Hex
+  function rgbToHex(rgb) {
+    if (!rgb || rgb === 'transparent' || rgb === 'rgba(0, 0, 0, 0)') return null;
+
+    const match = rgb.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+    if (!match) return rgb;
+
+    return '#' + [match[1], match[2], match[3]].map(x => {
+      const hex = parseInt(x).toString(16);
+      return hex.length === 1 ? '0' + hex : hex;
+    }).join('').toUpperCase();
+  }
+
+  function isDarkTheme(doc) {
+    return doc.documentElement.getAttribute('data-theme') === 'dark';
+  }
+
+  // Custom properties defined for the whole page: on :root, html or a [data-theme] scope
+  function getRootPropertyNames(doc) {
+    const names = new Set();
+    const isRootSelector = selector => selector.split(',').some(part =>
+      /^\s*(:root|html|\[data-theme=["']?(light|dark)["']?\])\s*$/.test(part)
+    );
+    const collect = rules => Array.from(rules).forEach(rule => {
+      // @media and @supports blocks
+      if (rule.cssRules && !rule.selectorText) return collect(rule.cssRules);
+      if (!rule.style || !rule.selectorText || !isRootSelector(rule.selectorText)) return;
+      for (let i = 0; i < rule.style.length; i++) {
+        if (rule.style[i].startsWith('--')) names.add(rule.style[i]);
+      }
+    });
+
+    Array.from(doc.styleSheets).forEach(sheet => {
+      try {
+        collect(sheet.cssRules || []);
+      } catch (e) {
+        // Cross-origin stylesheet, skip
+      }
+    });
+    ((doc.documentElement.getAttribute('style') || '').match(/--[\w-]+/g) || []).forEach(name => names.add(name));
+
+    return Array.from(names);
+  }
+
+  // Tokens from the page's custom properties, resolved by the browser through a hidden probe element: colors in
+  // each theme scope, lengths in px. Engines without var() support (jsdom) resolve none
+  function readRootTokens(doc) {
+    const tokens = { fontSizes: [], fontWeights: [], spacing: [], colors: { light: [], dark: [] } };
+    const names = getRootPropertyNames(doc);
+    if (!names.length || !doc.body) return tokens;
+
+    const view = doc.defaultView;
+    const probe = doc.createElement('div');
+    probe.setAttribute('aria-hidden', 'true');
+    probe.style.cssText = 'position: absolute; visibility: hidden; pointer-events: none;';
+    doc.body.appendChild(probe);
+
+    const resolve = (property, name) => {
+      probe.style.setProperty(property, `var(${name})`);
+      const value = view.getComputedStyle(probe).getPropertyValue(property);
+      probe.style.removeProperty(property);
+      return value;
+    };
+    const isColor = name => name.startsWith('--color-');
+
+    try {
+      ['light', 'dark'].forEach(theme => {
+        probe.setAttribute('data-theme', theme);
+        names.filter(isColor).forEach(name => {
+          // opaque colors compute to rgb(); Dawn's "18, 18, 18" triplets and translucent overlays aren't tokens
+          const value = resolve('background-color', name);
+          if (/^rgb\(/.test(value)) tokens.colors[theme].push({ name, value: rgbToHex(value) });
+        });
+      });
+      probe.removeAttribute('data-theme');
+
+      names.filter(name => !isColor(name)).forEach(name => {
+        if (/font-size|text-size/.test(name)) {
+          tokens.fontSizes.push({ name, value: parseFloat(resolve('font-size', name)) });
+        } else if (/font-.*weight/.test(name)) {
+          tokens.fontWeights.push({ name, value: parseInt(resolve('font-weight', name)) });
+        } else if (/spacing|gap|gutter|padding|margin/.test(name)) {
+          tokens.spacing.push({ name, value: parseFloat(resolve('padding-left', name)) });
+        }
+      });
+    } finally {
+      probe.remove();
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Tokens from a JSON token file:
+   * { fontSizes: [16], fontWeights: [400], spacing: [8], colors: { light: { primary: '#005496' }, dark: {} },
+   *   tolerance: { fontSize: 2, spacing: 2, color: 12 } }
+   */
+  // Token lists are `{ name: value }` maps, or arrays named by position (`fontSizes[3]`)
+  function readTokenFile(file) {
+    const values = (key, list) => (Array.isArray(list)
+      ? list.map((value, index) => ({ name: `${key}[${index}]`, value }))
+      : Object.entries(list || {}).map(([name, value]) => ({ name, value })));
+    const colors = map => Object.entries(map || {}).map(([name, value]) => ({ name, value: value.toUpperCase() }));
+    const fileColors = file.colors || {};
+
+    return {
+      fontSizes: values('fontSizes', file.fontSizes),
+      fontWeights: values('fontWeights', file.fontWeights),
+      spacing: values('spacing', file.spacing),
+      colors: { light: colors(fileColors.light), dark: colors(fileColors.dark) }
+    };
+  }
+
+  /**
+   * The design tokens values are checked against: the page's :root custom properties, then the token file's.
+   * `{ fontSizes, fontWeights, spacing, colors: { light, dark }, tolerance }`, each token `{ name, value }`.
+   */
+  function getTokens(doc, tokenFile = null) {
+    const fromRoot = readRootTokens(doc);
+    const fromFile = readTokenFile(tokenFile || {});
+    // one token per value, named after where it was found first
+    const merge = (a, b) => [...a, ...b].filter((token, index, all) =>
+      token.value && !Number.isNaN(token.value) && all.findIndex(other => other.value === token.value) === index
+    );
+
+    return {
+      fontSizes: merge(fromRoot.fontSizes, fromFile.fontSizes).sort((a, b) => a.value - b.value),
+      fontWeights: merge(fromRoot.fontWeights, fromFile.fontWeights).sort((a, b) => a.value - b.value),
+      spacing: merge(fromRoot.spacing, fromFile.spacing).sort((a, b) => a.value - b.value),
+      colors: {
+        light: merge(fromRoot.colors.light, fromFile.colors.light),
+        dark: merge(fromRoot.colors.dark, fromFile.colors.dark)
+      },
+      tolerance: { ...TOLERANCE, ...(tokenFile && tokenFile.tolerance) }
+    };
+  }
+
+  function colorDistance(a, b) {
+    const channels = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const [x, y] = [channels(a), channels(b)];
+    return Math.sqrt(x.reduce((sum, value, i) => sum + Math.pow(value - y[i], 2), 0));
+  }
+
+  /**
+   * How a value compares with a set of tokens: `{ isToken, isNearMiss, nearest: { name, value, distance } }`.
+   * Without tokens to compare with, `isToken` is null: the value isn't checked.
+   */
+  function matchToken(value, tokens, tolerance) {
+    const isColor = typeof value === 'string';
+    const nearest = tokens.reduce((closest, token) => {
+      const distance = isColor ? colorDistance(value, token.value) : Math.abs(value - token.value);
+      return !closest || distance < closest.distance ? { name: token.name, value: token.value, distance } : closest;
+    }, null);
+    if (!nearest) return { isToken: null, isNearMiss: false, nearest: null };
+
+    // computed lengths can be off by rounding
+    const isToken = isColor ? nearest.distance === 0 : nearest.distance < 0.5;
+    nearest.distance = Math.round(nearest.distance * 100) / 100;
+    return { isToken, isNearMiss: !isToken && nearest.distance <= tolerance, nearest };
+  }
+
+  function getThemeColors(doc, tokens) {
+    return tokens.colors[isDarkTheme(doc) ? 'dark' : 'light'];
+  }
+
+  // Check if color is a theme color; without color tokens colors aren't checked
+  function matchColor(hexColor, doc, tokens) {
+    const themeColors = getThemeColors(doc, tokens);
+    if (!hexColor || !themeColors.length || NEUTRAL_COLORS.includes(hexColor)) {
+      return { isTheme: true, isNearMiss: false, nearest: null };
+    }
+    const match = matchToken(hexColor, themeColors, tokens.tolerance.color);
+    return { isTheme: match.isToken, isNearMiss: match.isNearMiss, nearest: match.nearest };
+  }
+
+  // Get element selector for display
+  function getElementSelector(el, classLimit = 2) {
+    let selector = el.tagName.toLowerCase();
+    if (el.id) selector += '#' + el.id;
+    if (el.className && typeof el.className === 'string') {
+      const classes = el.className.split(' ').filter(c => c.trim() && !c.startsWith('shopify')).slice(0, classLimit);
+      if (classes.length) selector += '.' + classes.join('.');
+    }
+    return selector;
+  }
+
+  // jsdom has no layout: its viewport has no width and every offsetParent is null
+  function hasLayout(doc) {
+    return doc.documentElement.clientWidth > 0;
+  }
+
+  // Elements without layout (display: none, or inside it) are skipped. Without layout at all, every element counts
+  function isRendered(el) {
+    return !hasLayout(el.ownerDocument) || el.offsetParent !== null || el.tagName === 'BODY';
+  }
+
+  function isExcluded(el, exclude) {
+    return Boolean(exclude) && Boolean(el.closest(exclude));
+  }
+
+  /**
+   * Collect the fonts, sizes, weights, colors and spacing used on the page.
+   * Options: `exclude`, a selector for elements to leave out (e.g. the debug modal); `tokens`, from getTokens.
+   * Sizes, weights, colors and spacing are matched with the nearest token, so near misses (15px for 16px) show.
+   */
+  function scanStyles(doc, { exclude = null, tokens = getTokens(doc) } = {}) {
+    const view = doc.defaultView;
+    const seenFontFamilies = new Map();
+    const seenFontSizes = new Map();
+    const seenFontWeights = new Map();
+    const seenColors = new Map();
+    const seenSpacing = new Map();
+
+    doc.querySelectorAll(SCANNED_ELEMENTS).forEach(el => {
+      if (isExcluded(el, exclude) || !isRendered(el)) return;
+
+      const styles = view.getComputedStyle(el);
+      const selector = getElementSelector(el);
+
+      // Check font-family
+      const fontFamily = styles.fontFamily;
+      if (fontFamily && !isExpectedFontFamily(fontFamily)) {
+        if (!seenFontFamilies.has(fontFamily)) {
+          seenFontFamilies.set(fontFamily, []);
+        }
+        seenFontFamilies.get(fontFamily).push(selector);
+      }
+
+      // Check font-size (collect all unique sizes)
+      const fontSize = parseFloat(styles.fontSize);
+      if (fontSize) {
+        const key = fontSize + 'px';
+        if (!seenFontSizes.has(key)) {
+          const match = matchToken(fontSize, tokens.fontSizes, tokens.tolerance.fontSize);
+          seenFontSizes.set(key, { ...match, elements: [] });
+        }
+        if (seenFontSizes.get(key).elements.length < 3) {
+          seenFontSizes.get(key).elements.push(selector);
+        }
+      }
+
+      // Check font-weight
+      const fontWeight = parseInt(styles.fontWeight);
+      if (fontWeight) {
+        const key = fontWeight.toString();
+        if (!seenFontWeights.has(key)) {
+          seenFontWeights.set(key, { ...matchToken(fontWeight, tokens.fontWeights, 0), elements: [] });
+        }
+        if (seenFontWeights.get(key).elements.length < 3) {
+          seenFontWeights.get(key).elements.push(selector);
+        }
+      }
+
+      // Check text color
+      const color = rgbToHex(styles.color);
+      if (color && color !== '#000000' && color !== '#FFFFFF') {
+        if (!seenColors.has(color)) {
+          seenColors.set(color, { ...matchColor(color, doc, tokens), elements: [] });
+        }
+        if (seenColors.get(color).elements.length < 3) {
+          seenColors.get(color).elements.push(selector);
+        }
+      }
+
+      // Check background color
+      const bgColor = rgbToHex(styles.backgroundColor);
+      if (bgColor) {
+        const key = 'bg:' + bgColor;
+        if (!seenColors.has(key)) {
+          seenColors.set(key, { ...matchColor(bgColor, doc, tokens), elements: [], isBg: true });
+        }
+        if (seenColors.get(key).elements.length < 3) {
+          seenColors.get(key).elements.push(selector);
+        }
+      }
+
+      // Check spacing (margin, padding, gap)
+      const spacingProps = [
+        { prop: 'marginTop', label: 'margin-top' },
+        { prop: 'marginBottom', label: 'margin-bottom' },
+        { prop: 'marginLeft', label: 'margin-left' },
+        { prop: 'marginRight', label: 'margin-right' },
+        { prop: 'paddingTop', label: 'padding-top' },
+        { prop: 'paddingBottom', label: 'padding-bottom' },
+        { prop: 'paddingLeft', label: 'padding-left' },
+        { prop: 'paddingRight', label: 'padding-right' },
+        { prop: 'gap', label: 'gap' },
+        { prop: 'rowGap', label: 'row-gap' },
+        { prop: 'columnGap', label: 'column-gap' }
+      ];
+
+      spacingProps.forEach(({ prop, label }) => {
+        const value = parseSpacingValue(styles[prop]);
+        if (value !== null && value > 0) {
+          const key = Math.round(value) + 'px';
+
+          if (!seenSpacing.has(key)) {
+            const match = matchToken(value, tokens.spacing, tokens.tolerance.spacing);
+            seenSpacing.set(key, {
+              elements: [],
+              properties: new Set(),
+              isConsistent: match.isToken !== false,
+              isNearMiss: match.isNearMiss,
+              nearest: match.nearest
+            });
+          }
+          const data = seenSpacing.get(key);
+          data.properties.add(label);
+          if (data.elements.length < 3) {
+            data.elements.push(selector);
+          }
+        }
+      });
+    });
+
+    // Convert to array format
+    return {
+      fontFamily: Array.from(seenFontFamilies.entries()).map(([font, els]) => ({
+        value: font,
+        elements: els,
+        isInconsistent: true
+      })),
+
+      fontSize: Array.from(seenFontSizes.entries())
+        .sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]))
+        .map(([size, data]) => ({
+          value: size,
+          elements: data.elements,
+          isToken: data.isToken,
+          isNearMiss: data.isNearMiss,
+          nearest: data.nearest
+        })),
+
+      fontWeight: Array.from(seenFontWeights.entries())
+        .sort((a, b) => parseInt(a[0]) - parseInt(b[0]))
+        .map(([weight, data]) => ({
+          value: weight,
+          elements: data.elements,
+          isToken: data.isToken,
+          nearest: data.nearest
+        })),
+
+      color: Array.from(seenColors.entries())
+        .map(([color, data]) => ({
+          value: data.isBg ? color.replace('bg:', '') + ' (bg)' : color,
+          elements: data.elements,
+          isTheme: data.isTheme,
+          isNearMiss: data.isNearMiss,
+          nearest: data.nearest,
+          isBg: data.isBg
+        }))
+        .sort((a, b) => (a.isTheme === b.isTheme ? 0 : a.isTheme ? 1 : -1)),
+
+      spacing: Array.from(seenSpacing.entries())
+        .sort((a, b) => parseInt(a[0]) - parseInt(b[0]))
+        .map(([size, data]) => ({
+          value: size,
+          elements: data.elements,
+          properties: Array.from(data.properties),
+          isConsistent: data.isConsistent,
+          isNearMiss: data.isNearMiss,
+          nearest: data.nearest
+        }))
+    };
+  }
+
+  // Scan for CSS conflicts (overridden styles)
+  function scanConflicts(doc, { exclude = null, tokens = getTokens(doc) } = {}) {
+    const view = doc.defaultView;
+    const conflicts = [];
+
+    doc.querySelectorAll('body *:not(script):not(style):not(svg):not(path)').forEach(el => {
+      if (isExcluded(el, exclude) || !isRendered(el)) return;
+
+      const selector = getElementSelector(el);
+      const computed = view.getComputedStyle(el);
+
+      // Check for !important overrides by looking at inline styles vs computed
+      const inlineStyle = el.getAttribute('style');
+      if (inlineStyle && inlineStyle.includes('!important')) {
+        conflicts.push({
+          element: selector,
+          type: 'inline-important',
+          detail: 'Inline !important override detected',
+          style: inlineStyle.substring(0, 100) + (inlineStyle.length > 100 ? '...' : '')
+        });
+      }
+
+      // Check for color conflicts (computed differs from CSS variable)
+      const colorProps = ['color', 'background-color', 'border-color'];
+      colorProps.forEach(prop => {
+        const hexColor = rgbToHex(computed.getPropertyValue(prop));
+
+        // Check if element has inline style that might override theme
+        const inlineVal = el.style.getPropertyValue(prop);
+        if (inlineVal && !inlineVal.includes('var(')) {
+          // Convert inline value to hex for comparison
+          const inlineHex = rgbToHex(inlineVal) || inlineVal.toUpperCase();
+
+          // Check if inline style is being overridden by CSS !important
+          if (inlineHex && hexColor && inlineHex !== hexColor) {
+            conflicts.push({
+              element: selector,
+              type: 'css-override',
+              detail: `CSS !important overriding inline ${prop}`,
+              expected: inlineHex + ' (inline)',
+              actual: hexColor + ' (computed)'
+            });
+          } else {
+            conflicts.push({
+              element: selector,
+              type: 'inline-override',
+              detail: `Inline ${prop} override`,
+              expected: 'theme variable',
+              actual: inlineVal
+            });
+          }
+        }
+
+        // Hardcoded colors from <style> blocks, not just inline styles
+        if (hexColor && !matchColor(hexColor, doc, tokens).isTheme) {
+          // innerText needs layout, which jsdom doesn't have
+          const text = el.innerText !== undefined ? el.innerText : el.textContent;
+          const isTextElement = text && text.trim().length > 0;
+
+          // Only flag visible text colors or prominent backgrounds
+          if ((prop === 'color' && isTextElement) || prop === 'background-color') {
+            if (!matchingRuleUsesVariable(doc, el, prop)) {
+              conflicts.push({
+                element: selector,
+                type: 'hardcoded-color',
+                detail: `Hardcoded ${prop} (not theme variable)`,
+                expected: 'var(--color-*)',
+                actual: hexColor
+              });
+            }
+          }
+        }
+      });
+    });
+
+    // Deduplicate and limit
+    const seen = new Set();
+    return conflicts.filter(c => {
+      const key = c.element + c.type + c.detail;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).slice(0, 100);
+  }
+
+  // Check if any rule matching the element sets the property with var()
+  function matchingRuleUsesVariable(doc, el, prop) {
+    for (const sheet of Array.from(doc.styleSheets)) {
+      try {
+        for (const rule of Array.from(sheet.cssRules || [])) {
+          if (rule.selectorText && el.matches(rule.selectorText)) {
+            const ruleValue = rule.style.getPropertyValue(prop);
+            if (ruleValue && ruleValue.includes('var(')) return true;
+          }
+        }
+      } catch (e) {
+        // Cross-origin stylesheet, or a selector the engine can't match
+      }
+    }
+    return false;
+  }
+
+  // Scan theme CSS variables
+  function scanThemeVariables(doc) {
+    const variables = [];
+    const root = doc.documentElement;
+    const computed = doc.defaultView.getComputedStyle(root);
+
+    // Get all CSS custom properties from stylesheets
+    const allVars = new Set();
+
+    Array.from(doc.styleSheets).forEach(sheet => {
+      try {
+        Array.from(sheet.cssRules || []).forEach(rule => {
+          if (!rule.style) return;
+          for (let i = 0; i < rule.style.length; i++) {
+            const prop = rule.style[i];
+            if (prop.startsWith('--')) allVars.add(prop);
+          }
+        });
+      } catch (e) {
+        // Cross-origin stylesheet, skip
+      }
+    });
+
+    // Also check inline root styles
+    const rootStyles = root.getAttribute('style') || '';
+    const inlineVarMatches = rootStyles.match(/--[\w-]+/g) || [];
+    inlineVarMatches.forEach(v => allVars.add(v));
+
+    // Add common Shopify Dawn theme variables
+    const commonVars = [
+      '--color-base-text', '--color-base-background', '--color-base-solid-button-labels',
+      '--color-base-accent-1', '--color-base-accent-2', '--color-base-background-1',
+      '--color-base-background-2', '--color-foreground', '--color-background',
+      '--color-primary', '--color-secondary', '--color-accent', '--color-bg',
+      '--color-surface', '--color-text-primary', '--color-border',
+      '--font-body-family', '--font-heading-family', '--font-body-weight',
+      '--font-heading-weight', '--font-body-scale', '--font-heading-scale'
+    ];
+    commonVars.forEach(v => allVars.add(v));
+
+    // Get resolved values
+    allVars.forEach(varName => {
+      const value = computed.getPropertyValue(varName).trim();
+      if (!value) return;
+
+      // Categorize by type
+      let category = 'other';
+      if (varName.includes('color') || varName.includes('bg') || varName.includes('text')) {
+        category = 'color';
+      } else if (varName.includes('font')) {
+        category = 'font';
+      } else if (['spacing', 'gap', 'margin', 'padding'].some(part => varName.includes(part))) {
+        category = 'spacing';
+      } else if (varName.includes('border') || varName.includes('radius')) {
+        category = 'border';
+      }
+
+      variables.push({
+        name: varName,
+        value: value,
+        category: category
+      });
+    });
+
+    // Sort by category then name
+    variables.sort((a, b) => {
+      if (a.category !== b.category) return a.category.localeCompare(b.category);
+      return a.name.localeCompare(b.name);
+    });
+
+    return variables;
+  }
+
+  // Get the primary class name for file location hint
+  function getPrimaryClass(el) {
+    if (!el.className || typeof el.className !== 'string') return null;
+    const classes = el.className.split(' ').filter(c => c.trim() && !c.startsWith('shopify') && !c.startsWith('color-'));
+    return classes[0] || null;
+  }
+
+  // Guess file location based on class names
+  function guessFileLocation(className, sectionType) {
+    if (!className) return null;
+
+    // Common patterns
+    const patterns = [
+      // Section-specific classes
+      { regex: /^testimonial/, file: 'sections/testimonials.liquid' },
+      { regex: /^header2/, file: 'sections/header2.liquid' },
+      { regex: /^footer/, file: 'sections/footer.liquid' },
+      { regex: /^features-bar/, file: 'sections/features-bar.liquid' },
+      { regex: /^features-icons/, file: 'sections/features-icons.liquid' },
+      { regex: /^product-card/, file: 'snippets/product-card.liquid' },
+      { regex: /^product-grid/, file: 'sections/product-grid.liquid' },
+      { regex: /^banner/, file: 'sections/banner-image-hero.liquid' },
+      { regex: /^video-hero/, file: 'sections/hero-video.liquid' },
+      { regex: /^wholesale/, file: 'sections/wholesale-*.liquid' },
+      { regex: /^contact/, file: 'sections/contact-form.liquid' },
+      { regex: /^cta-banner/, file: 'sections/cta-banner.liquid' },
+      { regex: /^brand/, file: 'sections/brands-grid.liquid' },
+      // Generic patterns
+      { regex: /^card/, file: 'snippets/card-*.liquid' },
+      { regex: /^button/, file: 'assets/base.css' },
+      { regex: /^rte/, file: 'snippets/article-*.liquid' },
+    ];
+
+    const pattern = patterns.find(p => p.regex.test(className));
+    if (pattern) return pattern.file;
+
+    // Default: try section type
+    if (sectionType) {
+      return `sections/${sectionType}.liquid`;
+    }
+
+    return 'assets/theme-toggle.css (dark mode overrides)';
+  }
+
+  // Get CSS variable if used in the inline style
+  function getCSSVariable(el, property) {
+    const inlineStyle = el.getAttribute('style') || '';
+    const varMatch = inlineStyle.match(new RegExp(`${property}:\\s*var\\(([^)]+)\\)`));
+    return varMatch ? varMatch[1] : null;
+  }
+
+  // Extract section type from section element
+  function getSectionType(section) {
+    if (section.dataset.sectionType) {
+      return section.dataset.sectionType;
+    }
+
+    const innerWithType = section.querySelector('[data-section-type]');
+    if (innerWithType && innerWithType.dataset.sectionType) {
+      return innerWithType.dataset.sectionType;
+    }
+
+    const sectionId = section.id || '';
+    const idMatch = sectionId.match(/shopify-section-(?:template--\d+--)?([a-z0-9-]+)/i);
+    if (idMatch && idMatch[1]) {
+      let type = idMatch[1];
+      type = type.replace(/_[a-zA-Z0-9]+$/, '');
+      type = type.replace(/-\d+$/, '');
+      return type;
+    }
+
+    const classes = Array.from(section.classList);
+    for (const cls of classes) {
+      if (cls.startsWith('section-') && cls !== 'section-padding') {
+        return cls.replace('section-', '');
+      }
+    }
+
+    return null;
+  }
+
+  // Get section ID (cleaned up)
+  function getSectionId(section) {
+    const fullId = section.id || '';
+    return fullId.replace('shopify-section-', '') || 'unknown';
+  }
+
+  /**
+   * Scan all components within a section: colors, layout and, for images, what loaded.
+   * Options: `exclude`, a selector for elements to leave out.
+   */
+  function scanSectionComponents(section, { exclude = null } = {}) {
+    const view = section.ownerDocument.defaultView;
+    const components = [];
+    const sectionType = getSectionType(section);
+    const toHex = value => rgbToHex(value) || 'transparent';
+
+    // Get section info first
+    const sectionStyles = view.getComputedStyle(section);
+    components.push({
+      element: 'Section Container',
+      selector: getElementSelector(section, 3),
+      className: getPrimaryClass(section),
+      textColor: toHex(sectionStyles.color),
+      bgColor: toHex(sectionStyles.backgroundColor),
+      fileHint: guessFileLocation(getPrimaryClass(section), sectionType),
+      isSection: true
+    });
+
+    // Find notable child elements
+    const selectors = [
+      // Headings
+      'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+      // Text containers
+      'p', 'blockquote', '.rte',
+      // Cards and containers
+      '[class*="card"]', '[class*="item"]', '[class*="block"]',
+      // Media elements (important for debugging images)
+      '.media', '[class*="media"]', 'img', 'picture', 'video',
+      // Specific components
+      '[class*="badge"]', '[class*="tag"]', '[class*="pill"]',
+      '[class*="button"]', '[class*="btn"]',
+      '[class*="icon"]', '[class*="star"]',
+      '[class*="nav"]', '[class*="dot"]',
+      '[class*="customer"]', '[class*="service"]',
+      '[class*="quote"]', '[class*="text"]',
+      '[class*="heading"]', '[class*="title"]', '[class*="description"]',
+      // Form elements
+      'input', 'textarea', 'select', 'label',
+    ];
+
+    const seen = new Set();
+
+    selectors.forEach(selector => {
+      try {
+        section.querySelectorAll(selector).forEach(el => {
+          // Skip if already processed
+          if (seen.has(el) || isExcluded(el, exclude)) return;
+
+          // Check if hidden (but still include imgs and media for debugging)
+          const isMediaElement = el.tagName === 'IMG' || el.classList.contains('media') || el.closest('.media');
+          const isHidden = !isRendered(el);
+          if (isHidden && !isMediaElement) return;
+
+          let className = getPrimaryClass(el);
+          // For img elements without classes, use tag name
+          if (!className && el.tagName === 'IMG') {
+            className = 'img';
+          }
+          if (!className) return; // Skip elements without meaningful classes
+
+          // Skip duplicates by class (but allow multiple images)
+          if (seen.has(className) && el.tagName !== 'IMG') return;
+          seen.add(className);
+          seen.add(el);
+
+          const styles = view.getComputedStyle(el);
+          const textColor = toHex(styles.color);
+          const bgColor = toHex(styles.backgroundColor);
+          const borderColor = toHex(styles.borderColor);
+
+          // For images, always include them for debugging
+          const isImage = el.tagName === 'IMG';
+
+          // Only include if it has meaningful styling OR is an image/media
+          if (textColor === 'transparent' && bgColor === 'transparent' && !isImage && !isMediaElement) return;
+
+          // Check for CSS variable in inline style
+          const inlineStyle = el.getAttribute('style') || '';
+          const ratioVar = inlineStyle.match(/--ratio-percent:\s*([^;]+)/);
+
+          // Image-specific properties
+          let imgSrc = null;
+          let imgNaturalSize = null;
+          let imgLoaded = null;
+          if (isImage) {
+            imgSrc = el.src ? (el.src.length > 80 ? el.src.substring(0, 80) + '...' : el.src) : 'NO SRC';
+            imgNaturalSize = el.naturalWidth && el.naturalHeight ? `${el.naturalWidth}×${el.naturalHeight}` : 'not loaded';
+            imgLoaded = el.complete && el.naturalHeight > 0;
+          }
+
+          components.push({
+            element: el.tagName.toLowerCase(),
+            selector: getElementSelector(el, 3),
+            className: className,
+            textColor: textColor,
+            textVar: getCSSVariable(el, 'color'),
+            bgColor: bgColor,
+            bgVar: getCSSVariable(el, 'background-color'),
+            borderColor: borderColor !== 'transparent' ? borderColor : null,
+            fileHint: guessFileLocation(className, sectionType),
+            fontSize: styles.fontSize,
+            fontWeight: styles.fontWeight,
+            // Layout properties
+            display: styles.display,
+            position: styles.position !== 'static' ? styles.position : null,
+            width: styles.width,
+            height: styles.height,
+            aspectRatio: styles.aspectRatio && styles.aspectRatio !== 'auto' ? styles.aspectRatio : null,
+            objectFit: isImage && styles.objectFit !== 'fill' ? styles.objectFit || null : null,
+            paddingBottom: styles.paddingBottom !== '0px' ? styles.paddingBottom : null,
+            ratioVar: ratioVar ? ratioVar[1].trim() : null,
+            // Visibility
+            visibility: styles.visibility !== 'visible' ? styles.visibility : null,
+            opacity: styles.opacity !== '1' ? styles.opacity : null,
+            isHidden: isHidden,
+            // Image-specific
+            imgSrc: imgSrc,
+            imgNaturalSize: imgNaturalSize,
+            imgLoaded: imgLoaded
+          });
+        });
+      } catch (e) {
+        // Invalid selector, skip
+      }
+    });
+
+    return components;
+  }
+
+  // "Near miss: 1px from body (16px)"
+  function describeNearMiss(item, unit = '') {
+    const { nearest } = item;
+    return `Near miss: ${nearest.distance}${unit} from ${nearest.name} (${nearest.value}${unit})`;
+  }
+
+  /**
+   * The issues in a scan, one per value, keyed so that scans of the same page can be compared:
+   * `{ category, key, value, detail, elements }`. Values near a token say which one.
+   */
+  function getIssues(scan) {
+    const issues = [];
+    const add = (category, item, detail) => issues.push({
+      category,
+      key: category + ':' + (item.key || item.value),
+      value: item.value,
+      detail,
+      elements: item.elements || []
+    });
+
+    scan.fontFamily.forEach(item => add('fontFamily', item, 'Non-standard font family'));
+    scan.fontSize
+      .filter(item => item.isToken === false)
+      .forEach(item => add('fontSize', item, item.isNearMiss ? describeNearMiss(item, 'px') : 'Not a font size token'));
+    scan.fontWeight
+      .filter(item => item.isToken === false)
+      .forEach(item => add('fontWeight', item, 'Not a font weight token'));
+    scan.color
+      .filter(item => !item.isTheme)
+      .forEach(item => add('color', item, item.isNearMiss
+        ? describeNearMiss(item)
+        : item.isBg ? 'Non-theme background color' : 'Non-theme text color'));
+    scan.spacing
+      .filter(item => !item.isConsistent)
+      .forEach(item => add('spacing', item, (item.isNearMiss ? describeNearMiss(item, 'px') : 'Not a spacing token') +
+        ' (' + item.properties.join(', ') + ')'));
+    (scan.conflicts || []).forEach(item => add('conflicts', {
+      key: [item.type, item.element, item.detail].join('|'),
+      value: item.element,
+      elements: [item.element]
+    }, item.detail + (item.actual ? ': ' + item.actual : '')));
+
+    return issues;
+  }
+
+  // Compare the issues of two scans: new ones fail a build, fixed ones can be celebrated
+  function diffIssues(baselineIssues, currentIssues) {
+    const baselineKeys = new Set(baselineIssues.map(issue => issue.key));
+    const currentKeys = new Set(currentIssues.map(issue => issue.key));
+
+    return {
+      new: currentIssues.filter(issue => !baselineKeys.has(issue.key)),
+      fixed: baselineIssues.filter(issue => !currentKeys.has(issue.key)),
+      unchanged: currentIssues.filter(issue => baselineKeys.has(issue.key))
+    };
+  }
+
+  // Theme variables as issues, keyed by value too: a changed variable is its old value fixed and its new value new
+  function getVariableIssues(variables) {
+    return (variables || []).map(variable => ({
+      category: 'variables',
+      key: 'variables:' + variable.name + '=' + variable.value,
+      value: variable.name,
+      detail: variable.value,
+      elements: []
+    }));
+  }
+
+  /**
+   * A named snapshot of a scan (styles, conflicts and variables) to diff later scans against:
+   * `{ name, url, savedAt, issues }`. Plain data, for localStorage and a downloaded JSON file.
+   */
+  function createBaseline(name, scan, { url = null } = {}) {
+    return {
+      name,
+      url,
+      savedAt: new Date().toISOString(),
+      issues: [...getIssues(scan), ...getVariableIssues(scan.variables)]
+        .filter(issue => BASELINE_CATEGORIES.includes(issue.category))
+    };
+  }
+
+  // A scan compared with a baseline, per category: `[{ category, new, fixed, unchanged }]`
+  function diffBaseline(baseline, scan) {
+    const current = [...getIssues(scan), ...getVariableIssues(scan.variables)];
+    const inCategory = (issues, category) => issues.filter(issue => issue.category === category);
+
+    return BASELINE_CATEGORIES.map(category => ({
+      category,
+      ...diffIssues(inCategory(baseline.issues, category), inCategory(current, category))
+    }));
+  }
+
+  /**
+   * Every scan of a document: styles, conflicts, variables and the components of each section, plus the issues
+   * they add up to. Plain data, so it can be written as JSON.
+   */
+  function auditDocument(doc, { exclude = null, tokenFile = null } = {}) {
+    const tokens = getTokens(doc, tokenFile);
+    const options = { exclude, tokens };
+    const scan = {
+      ...scanStyles(doc, options),
+      conflicts: scanConflicts(doc, options),
+      variables: scanThemeVariables(doc)
+    };
+
+    return {
+      title: doc.title,
+      theme: isDarkTheme(doc) ? 'dark' : 'light',
+      scan,
+      sections: Array.from(doc.querySelectorAll('.shopify-section')).map(section => ({
+        id: getSectionId(section),
+        type: getSectionType(section),
+        components: scanSectionComponents(section, options)
+      })),
+      tokens,
+      issues: getIssues(scan)
+    };
+  }
+
+  return {
+    CATEGORIES,
+    BASELINE_CATEGORIES,
+    rgbToHex,
+    getTokens,
+    matchToken,
+    matchColor,
+    getElementSelector,
+    getSectionType,
+    getSectionId,
+    scanStyles,
+    scanConflicts,
+    scanThemeVariables,
+    scanSectionComponents,
+    getIssues,
+    diffIssues,
+    createBaseline,
+    diffBaseline,
+    auditDocument
+  };
+});
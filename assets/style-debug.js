@@ -1,6 +1,8 @@
 /**
  * Style Debug Modal
- * Scans the page for style inconsistencies in fonts, sizes, weights, and colors
+ * Scans the page for style inconsistencies in fonts, sizes, weights, and colors,
+ * and audits text contrast (WCAG AA) per section in light and dark mode.
+ * Scans can be saved as named baselines, and later scans diffed against one: new, fixed and unchanged issues
  */
 
 (function() {
@@ -8,37 +10,8 @@
 
   const DEBUG_MODAL_ID = 'style-debug-modal';
 
-  // Expected values based on theme settings
-  const EXPECTED = {
-    fontFamily: 'var(--font-body-family)',
-    // Common font sizes in the theme (in px)
-    fontSizes: [10, 12, 13, 14, 15, 16, 18, 20, 24, 28, 32, 36, 40, 48, 56, 64, 72],
-    // Common font weights
-    fontWeights: [400, 500, 600, 700],
-    // Expected spacing values in px (based on rem: 0, 8, 12, 16, 24, 32, 48, 64, 96)
-    // 1rem = 16px typically
-    spacingValues: [0, 4, 8, 12, 16, 20, 24, 28, 32, 40, 48, 56, 64, 80, 96, 112, 128],
-    // Theme colors (light mode)
-    lightColors: {
-      bg: '#F5F7FA',
-      surface: '#FFFFFF',
-      textPrimary: '#2B2C2D',
-      primary: '#005496',
-      accent: '#DD6727',
-      success: '#28A745',
-      border: '#E1E5EA'
-    },
-    // Theme colors (dark mode)
-    darkColors: {
-      bg: '#0F172A',
-      surface: '#1E293B',
-      textPrimary: '#F1F5F9',
-      primary: '#60A5FA',
-      accent: '#F28C38',
-      success: '#39B47E',
-      border: '#2D3A50'
-    }
-  };
+  // Helpers shared with the audit core (style-audit.js)
+  const { rgbToHex, getElementSelector } = StyleAudit;
 
   // Store found inconsistencies
   let inconsistencies = {
@@ -48,460 +21,610 @@
     color: [],
     spacing: [],
     conflicts: [],
-    variables: []
+    variables: [],
+    contrast: null
   };
 
+  // Failures of the last contrast audit, null until one has run
+  let contrastFailures = null;
+
+  // Design tokens: the theme's :root variables, plus the token file at window.styleDebug.tokensUrl once loaded
+  let tokens = null;
+  let tokenFileRequest = null;
+
+  // Saved baselines by name, and the name of the one scans are diffed against, kept across page loads and deploys
+  const BASELINES_KEY = 'style-debug:baselines';
+  const ACTIVE_BASELINE_KEY = 'style-debug:baseline';
+  const BASELINE_LABELS = {
+    fontSize: 'Font Sizes',
+    color: 'Colors',
+    spacing: 'Spacing',
+    conflicts: 'Conflicts',
+    variables: 'Variables'
+  };
+
+  // Last message of the baseline panel: saved, imported, or why not
+  let baselineStatus = null;
+
   // Inspector mode state
   let inspectorMode = false;
   let inspectorOverlay = null;
 
-  // Check if spacing value is consistent with expected values
-  function isConsistentSpacing(value) {
-    const rounded = Math.round(value);
-    // Allow values that are close to expected (within 2px tolerance)
-    return EXPECTED.spacingValues.some(expected => Math.abs(rounded - expected) <= 2);
+  function loadTokenFile() {
+    if (!tokenFileRequest) {
+      const url = (window.styleDebug || {}).tokensUrl;
+      tokenFileRequest = url
+        ? fetch(url).then(response => (response.ok ? response.json() : null)).catch(() => null)
+        : Promise.resolve(null);
+    }
+    return tokenFileRequest;
+  }
+
+  // Read again before each scan: the theme editor changes the variables
+  async function refreshTokens() {
+    tokens = StyleAudit.getTokens(document, await loadTokenFile());
+    return tokens;
   }
 
-  // Parse spacing value to pixels
-  function parseSpacingValue(value) {
-    if (!value || value === 'auto' || value === 'normal') return null;
-    const num = parseFloat(value);
-    if (isNaN(num) || num === 0) return null;
-    return num;
+  function getTokens() {
+    if (!tokens) tokens = StyleAudit.getTokens(document);
+    return tokens;
   }
 
-  // Normalize font family string for comparison
-  function normalizeFontFamily(fontFamily) {
-    return fontFamily.toLowerCase().replace(/['"]/g, '').trim();
+  // Scan all elements for style inconsistencies
+  function scanStyles() {
+    inconsistencies = {
+      ...StyleAudit.scanStyles(document, { exclude: '#' + DEBUG_MODAL_ID, tokens: getTokens() }),
+      // filled by scanContrast, which is asynchronous
+      contrast: contrastFailures
+    };
+    return inconsistencies;
+  }
+
+  // Scan for CSS conflicts (overridden styles)
+  function scanConflicts() {
+    return StyleAudit.scanConflicts(document, { exclude: '#' + DEBUG_MODAL_ID, tokens: getTokens() });
   }
 
-  // Check if font family matches expected system fonts
-  function isExpectedFontFamily(fontFamily) {
-    const normalized = normalizeFontFamily(fontFamily);
-    const systemFonts = [
-      'system-ui', '-apple-system', 'blinkmacsystemfont', 'segoe ui',
-      'roboto', 'helvetica neue', 'arial', 'sans-serif', 'noto sans',
-      'liberation sans', 'helvetica'
-    ];
+  // Scan theme CSS variables
+  function scanThemeVariables() {
+    return StyleAudit.scanThemeVariables(document);
+  }
 
-    // Check if it contains any system font
-    return systemFonts.some(sf => normalized.includes(sf));
+  // Everything a baseline keeps: the style scan with its conflicts and variables
+  function getCurrentScan(data) {
+    return { ...data, conflicts: scanConflicts(), variables: scanThemeVariables() };
   }
 
-  // Convert RGB to Hex
-  function rgbToHex(rgb) {
-    if (!rgb || rgb === 'transparent' || rgb === 'rgba(0, 0, 0, 0)') return null;
+  // Storage full or disabled: baselines can still be downloaded, they just aren't kept
+  function readStorage(key, fallback) {
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value === null ? fallback : value;
+    } catch (e) {
+      return fallback;
+    }
+  }
 
-    const match = rgb.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-    if (!match) return rgb;
+  function writeStorage(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
 
-    const r = parseInt(match[1]);
-    const g = parseInt(match[2]);
-    const b = parseInt(match[3]);
+  function getBaselines() {
+    return readStorage(BASELINES_KEY, {});
+  }
 
-    return '#' + [r, g, b].map(x => {
-      const hex = x.toString(16);
-      return hex.length === 1 ? '0' + hex : hex;
-    }).join('').toUpperCase();
+  function getActiveBaseline() {
+    return getBaselines()[readStorage(ACTIVE_BASELINE_KEY, '')] || null;
   }
 
-  // Check if color is a theme color
-  function isThemeColor(hexColor) {
-    if (!hexColor) return true;
+  function storeBaseline(baseline) {
+    const stored = writeStorage(BASELINES_KEY, { ...getBaselines(), [baseline.name]: baseline });
+    if (stored) writeStorage(ACTIVE_BASELINE_KEY, baseline.name);
+    return stored;
+  }
 
-    const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
-    const themeColors = isDark ? EXPECTED.darkColors : EXPECTED.lightColors;
-    const allThemeColors = Object.values(themeColors).map(c => c.toUpperCase());
-
-    // Also allow common variations
-    const allowedColors = [
-      ...allThemeColors,
-      '#FFFFFF', '#000000', '#FFF', '#000',
-      'TRANSPARENT', 'INHERIT', 'CURRENTCOLOR'
-    ];
-
-    return allowedColors.includes(hexColor.toUpperCase());
-  }
-
-  // Get element selector for display
-  function getElementSelector(el) {
-    let selector = el.tagName.toLowerCase();
-    if (el.id) selector += '#' + el.id;
-    if (el.className && typeof el.className === 'string') {
-      const classes = el.className.split(' ').filter(c => c.trim()).slice(0, 2);
-      if (classes.length) selector += '.' + classes.join('.');
+  // Save the current scan under a name, replacing a baseline of the same name
+  function saveBaseline(name) {
+    const baseline = StyleAudit.createBaseline(name, getCurrentScan(inconsistencies), {
+      url: window.location.pathname
+    });
+    baselineStatus = storeBaseline(baseline)
+      ? `Saved "${name}"`
+      : `Couldn't store "${name}" in this browser, download it instead`;
+    return baseline;
+  }
+
+  function deleteBaseline(name) {
+    const baselines = getBaselines();
+    delete baselines[name];
+    writeStorage(BASELINES_KEY, baselines);
+    if (readStorage(ACTIVE_BASELINE_KEY, '') === name) writeStorage(ACTIVE_BASELINE_KEY, '');
+    baselineStatus = `Deleted "${name}"`;
+  }
+
+  function downloadBaseline(baseline) {
+    const blob = new Blob([JSON.stringify(baseline, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'style-debug-baseline-' + baseline.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') + '.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // A downloaded baseline, from another browser or before a deploy
+  async function importBaseline(file) {
+    try {
+      const baseline = JSON.parse(await file.text());
+      if (!baseline || typeof baseline.name !== 'string' || !Array.isArray(baseline.issues)) {
+        throw new Error('not a baseline');
+      }
+      baselineStatus = storeBaseline(baseline)
+        ? `Imported "${baseline.name}"`
+        : `Couldn't store "${baseline.name}" in this browser`;
+    } catch (e) {
+      baselineStatus = `${file.name} is not a style debug baseline`;
     }
-    return selector;
   }
 
-  // Scan all elements for style inconsistencies
-  function scanStyles() {
-    inconsistencies = {
-      fontFamily: [],
-      fontSize: [],
-      fontWeight: [],
-      color: [],
-      spacing: []
+  // The current scan compared with the active baseline, null without one
+  function getBaselineDiff(data) {
+    const baseline = getActiveBaseline();
+    if (!baseline) return null;
+    return { baseline, categories: StyleAudit.diffBaseline(baseline, getCurrentScan(data)) };
+  }
+
+  // Contrast audit: WCAG AA ratios for the text of every section, in both themes
+  const CONTRAST = {
+    normal: 4.5,
+    large: 3,
+    // text elements checked per section, per theme
+    elementLimit: 150,
+    // images are scaled down to this many pixels square before sampling
+    sampleSize: 16,
+    sampleTimeout: 5000
+  };
+
+  // Image loads by URL, so each image is loaded once per page, and the colors sampled from the readable ones
+  const imageRequests = new Map();
+  const imageSamples = new Map();
+
+  // Parse a computed color: rgb(), rgba(), color(srgb ...) (what color-mix() computes to) or hex
+  function parseColor(value) {
+    if (!value || typeof value !== 'string') return null;
+    const alpha = a => (a === undefined ? 1 : a.endsWith('%') ? parseFloat(a) / 100 : parseFloat(a));
+
+    let match = value.match(/rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)/);
+    if (match) return { r: +match[1], g: +match[2], b: +match[3], a: alpha(match[4]) };
+
+    match = value.match(/color\(srgb\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)(?:\s*\/\s*([\d.]+%?))?\s*\)/);
+    if (match) return { r: match[1] * 255, g: match[2] * 255, b: match[3] * 255, a: alpha(match[4]) };
+
+    match = value.trim().match(/^#([0-9a-f]{3,8})$/i);
+    if (!match) return null;
+    let hex = match[1];
+    if (hex.length <= 4) hex = hex.split('').map(c => c + c).join('');
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
     };
+  }
 
-    const seenFontFamilies = new Map();
-    const seenFontSizes = new Map();
-    const seenFontWeights = new Map();
-    const seenColors = new Map();
-    const seenSpacing = new Map();
-
-    // Get all visible elements
-    const elements = document.querySelectorAll('body *:not(script):not(style):not(svg):not(path):not(circle):not(line):not(rect):not(polygon)');
-
-    elements.forEach(el => {
-      // Skip hidden elements and the debug modal itself
-      if (el.closest('#' + DEBUG_MODAL_ID)) return;
-      if (el.offsetParent === null && el.tagName !== 'BODY') return;
-
-      const styles = window.getComputedStyle(el);
-      const selector = getElementSelector(el);
-
-      // Check font-family
-      const fontFamily = styles.fontFamily;
-      if (fontFamily && !isExpectedFontFamily(fontFamily)) {
-        const key = fontFamily;
-        if (!seenFontFamilies.has(key)) {
-          seenFontFamilies.set(key, []);
-        }
-        seenFontFamilies.get(key).push(selector);
-      }
+  // Every color stop of a computed gradient (background-image)
+  function parseGradientColors(value) {
+    const stops = value.match(/rgba?\([^)]*\)|color\(srgb[^)]*\)|#[0-9a-f]{3,8}\b/gi) || [];
+    return stops.map(parseColor).filter(Boolean);
+  }
 
-      // Check font-size (collect all unique sizes)
-      const fontSize = parseFloat(styles.fontSize);
-      if (fontSize) {
-        const key = fontSize + 'px';
-        if (!seenFontSizes.has(key)) {
-          seenFontSizes.set(key, []);
-        }
-        if (seenFontSizes.get(key).length < 3) {
-          seenFontSizes.get(key).push(selector);
-        }
-      }
+  function colorToHex(color) {
+    return '#' + [color.r, color.g, color.b].map(x => {
+      const hex = Math.round(x).toString(16);
+      return hex.length === 1 ? '0' + hex : hex;
+    }).join('').toUpperCase();
+  }
 
-      // Check font-weight
-      const fontWeight = parseInt(styles.fontWeight);
-      if (fontWeight) {
-        const key = fontWeight.toString();
-        if (!seenFontWeights.has(key)) {
-          seenFontWeights.set(key, []);
-        }
-        if (seenFontWeights.get(key).length < 3) {
-          seenFontWeights.get(key).push(selector);
-        }
-      }
+  // Paint a (possibly translucent) color over an opaque one
+  function blend(top, bottom) {
+    const a = top.a;
+    return {
+      r: top.r * a + bottom.r * (1 - a),
+      g: top.g * a + bottom.g * (1 - a),
+      b: top.b * a + bottom.b * (1 - a),
+      a: 1
+    };
+  }
 
-      // Check text color
-      const color = rgbToHex(styles.color);
-      if (color && color !== '#000000' && color !== '#FFFFFF') {
-        const key = color;
-        if (!seenColors.has(key)) {
-          seenColors.set(key, { isTheme: isThemeColor(color), elements: [] });
-        }
-        if (seenColors.get(key).elements.length < 3) {
-          seenColors.get(key).elements.push(selector);
-        }
-      }
+  // WCAG 2 relative luminance
+  function relativeLuminance(color) {
+    const [r, g, b] = [color.r, color.g, color.b].map(value => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
 
-      // Check background color
-      const bgColor = rgbToHex(styles.backgroundColor);
-      if (bgColor) {
-        const key = 'bg:' + bgColor;
-        if (!seenColors.has(key)) {
-          seenColors.set(key, { isTheme: isThemeColor(bgColor), elements: [], isBg: true });
-        }
-        if (seenColors.get(key).elements.length < 3) {
-          seenColors.get(key).elements.push(selector);
-        }
-      }
+  function contrastRatio(a, b) {
+    const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
 
-      // Check spacing (margin, padding, gap)
-      const spacingProps = [
-        { prop: 'marginTop', label: 'margin-top' },
-        { prop: 'marginBottom', label: 'margin-bottom' },
-        { prop: 'marginLeft', label: 'margin-left' },
-        { prop: 'marginRight', label: 'margin-right' },
-        { prop: 'paddingTop', label: 'padding-top' },
-        { prop: 'paddingBottom', label: 'padding-bottom' },
-        { prop: 'paddingLeft', label: 'padding-left' },
-        { prop: 'paddingRight', label: 'padding-right' },
-        { prop: 'gap', label: 'gap' },
-        { prop: 'rowGap', label: 'row-gap' },
-        { prop: 'columnGap', label: 'column-gap' }
-      ];
-
-      spacingProps.forEach(({ prop, label }) => {
-        const value = parseSpacingValue(styles[prop]);
-        if (value !== null && value > 0) {
-          const rounded = Math.round(value);
-          const key = rounded + 'px';
-          const isConsistent = isConsistentSpacing(value);
-
-          if (!seenSpacing.has(key)) {
-            seenSpacing.set(key, {
-              elements: [],
-              properties: new Set(),
-              isConsistent: isConsistent
-            });
-          }
-          const data = seenSpacing.get(key);
-          data.properties.add(label);
-          if (data.elements.length < 3) {
-            data.elements.push(selector);
+  // Large text (24px, or 18.66px bold) only needs 3:1
+  function getRequiredRatio(styles) {
+    const size = parseFloat(styles.fontSize);
+    const isBold = parseInt(styles.fontWeight) >= 700;
+    return size >= 24 || (isBold && size >= 18.66) ? CONTRAST.large : CONTRAST.normal;
+  }
+
+  // The URL of a computed background-image, when it is an image rather than a gradient
+  function getBackgroundImageUrl(value) {
+    const match = value && value.match(/url\(["']?([^"')]+)["']?\)/);
+    return match ? match[1] : null;
+  }
+
+  // Load an image and keep its average, darkest and lightest colors. Resolves to null when the image can't be read:
+  // not loaded in time, or served without CORS headers (the canvas is tainted), or no canvas (jsdom)
+  function sampleImage(url) {
+    if (imageRequests.has(url)) return imageRequests.get(url);
+
+    const sample = new Promise(resolve => {
+      const img = new Image();
+      const timeout = setTimeout(() => resolve(null), CONTRAST.sampleTimeout);
+      img.crossOrigin = 'anonymous';
+      img.onerror = () => {
+        clearTimeout(timeout);
+        resolve(null);
+      };
+      img.onload = () => {
+        clearTimeout(timeout);
+        try {
+          const size = CONTRAST.sampleSize;
+          const canvas = document.createElement('canvas');
+          canvas.width = size;
+          canvas.height = size;
+          const context = canvas.getContext('2d');
+          context.drawImage(img, 0, 0, size, size);
+          const data = context.getImageData(0, 0, size, size).data;
+
+          const pixels = [];
+          for (let i = 0; i < data.length; i += 4) {
+            pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2], a: data[i + 3] / 255 });
           }
+          const opaque = pixels.filter(p => p.a > 0);
+          if (!opaque.length) return resolve(null);
+
+          const byLuminance = opaque.slice().sort((a, b) => relativeLuminance(a) - relativeLuminance(b));
+          const average = ['r', 'g', 'b', 'a'].reduce((color, channel) => {
+            color[channel] = opaque.reduce((sum, p) => sum + p[channel], 0) / opaque.length;
+            return color;
+          }, {});
+          resolve([byLuminance[0], average, byLuminance[byLuminance.length - 1]]);
+        } catch (e) {
+          resolve(null);
         }
-      });
+      };
+      img.src = url;
     });
 
-    // Convert to array format
-    inconsistencies.fontFamily = Array.from(seenFontFamilies.entries()).map(([font, els]) => ({
-      value: font,
-      elements: els,
-      isInconsistent: true
-    }));
+    imageRequests.set(url, sample);
+    return sample;
+  }
 
-    inconsistencies.fontSize = Array.from(seenFontSizes.entries())
-      .sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]))
-      .map(([size, els]) => ({
-        value: size,
-        elements: els
-      }));
-
-    inconsistencies.fontWeight = Array.from(seenFontWeights.entries())
-      .sort((a, b) => parseInt(a[0]) - parseInt(b[0]))
-      .map(([weight, els]) => ({
-        value: weight,
-        elements: els
-      }));
-
-    inconsistencies.color = Array.from(seenColors.entries())
-      .map(([color, data]) => ({
-        value: data.isBg ? color.replace('bg:', '') + ' (bg)' : color,
-        elements: data.elements,
-        isTheme: data.isTheme,
-        isBg: data.isBg
-      }))
-      .sort((a, b) => (a.isTheme === b.isTheme ? 0 : a.isTheme ? 1 : -1));
-
-    inconsistencies.spacing = Array.from(seenSpacing.entries())
-      .sort((a, b) => parseInt(a[0]) - parseInt(b[0]))
-      .map(([size, data]) => ({
-        value: size,
-        elements: data.elements,
-        properties: Array.from(data.properties),
-        isConsistent: data.isConsistent
-      }));
+  // Background layers of an element (image above color), plus absolutely positioned ::before/::after overlays
+  function getOwnLayers(node) {
+    const layers = [];
+    ['::after', '::before', null].forEach(pseudo => {
+      const styles = getComputedStyle(node, pseudo);
+      if (pseudo && (styles.content === 'none' || styles.position !== 'absolute')) return;
+
+      const image = styles.backgroundImage;
+      if (image && image !== 'none') {
+        const url = getBackgroundImageUrl(image);
+        layers.push(url
+          ? { kind: 'image', element: node, url }
+          : { kind: 'gradient', element: node, colors: parseGradientColors(image) });
+      }
 
-    return inconsistencies;
+      const color = parseColor(styles.backgroundColor);
+      if (color && color.a > 0) layers.push({ kind: 'color', element: node, color });
+    });
+    return layers;
   }
 
-  // Scan for CSS conflicts (overridden styles)
-  function scanConflicts() {
-    const conflicts = [];
-    const elements = document.querySelectorAll('body *:not(script):not(style):not(svg):not(path)');
+  // An <img> in the section painted under the center of the element, e.g. a banner image behind its text
+  function findImageBehind(el, section) {
+    const rect = el.getBoundingClientRect();
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+
+    return Array.from(section.querySelectorAll('img')).find(img => {
+      if (img.contains(el) || !img.currentSrc) return false;
+      const imgRect = img.getBoundingClientRect();
+      return imgRect.width > 0 && x >= imgRect.left && x <= imgRect.right && y >= imgRect.top && y <= imgRect.bottom;
+    }) || null;
+  }
 
-    // Get theme colors for comparison
-    const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
-    const themeColors = isDark ? EXPECTED.darkColors : EXPECTED.lightColors;
-    const themeColorValues = Object.values(themeColors).map(c => c.toUpperCase());
-    const allowedColors = [...themeColorValues, '#FFFFFF', '#000000', '#FFF', '#000', 'TRANSPARENT'];
-
-    elements.forEach(el => {
-      if (el.closest('#' + DEBUG_MODAL_ID)) return;
-      if (el.offsetParent === null && el.tagName !== 'BODY') return;
-
-      const selector = getElementSelector(el);
-      const computed = window.getComputedStyle(el);
-
-      // Check for !important overrides by looking at inline styles vs computed
-      const inlineStyle = el.getAttribute('style');
-      if (inlineStyle && inlineStyle.includes('!important')) {
-        conflicts.push({
-          element: selector,
-          type: 'inline-important',
-          detail: 'Inline !important override detected',
-          style: inlineStyle.substring(0, 100) + (inlineStyle.length > 100 ? '...' : '')
-        });
+  // Layers behind an element, top first, down to the first opaque color
+  function getBackdropLayers(el, section) {
+    const layers = [];
+    const imageBehind = findImageBehind(el, section);
+    let image = imageBehind ? { kind: 'image', element: imageBehind, url: imageBehind.currentSrc } : null;
+    let node = el;
+
+    while (node && node.nodeType === 1) {
+      // the image is painted above the backgrounds of the elements that contain it
+      if (image && node !== el && node.contains(image.element)) {
+        layers.push(image);
+        image = null;
       }
+      const own = getOwnLayers(node);
+      layers.push(...own);
+      if (own.some(layer => layer.kind === 'color' && layer.color.a >= 1)) break;
+      node = node.parentElement;
+    }
 
-      // Check for color conflicts (computed differs from CSS variable)
-      const colorProps = ['color', 'background-color', 'border-color'];
-      colorProps.forEach(prop => {
-        const computedValue = computed.getPropertyValue(prop);
-        const hexColor = rgbToHex(computedValue);
-
-        // Check if element has inline style that might override theme
-        const jsProp = prop === 'background-color' ? 'backgroundColor' : prop;
-        if (el.style[jsProp]) {
-          const inlineVal = el.style[jsProp];
-          if (inlineVal && !inlineVal.includes('var(')) {
-            // Convert inline value to hex for comparison
-            const inlineHex = rgbToHex(inlineVal) || inlineVal.toUpperCase();
-            const computedHex = hexColor;
-
-            // Check if inline style is being overridden by CSS !important
-            if (inlineHex && computedHex && inlineHex !== computedHex) {
-              conflicts.push({
-                element: selector,
-                type: 'css-override',
-                detail: `CSS !important overriding inline ${prop}`,
-                expected: inlineHex + ' (inline)',
-                actual: computedHex + ' (computed)'
-              });
-            } else {
-              conflicts.push({
-                element: selector,
-                type: 'inline-override',
-                detail: `Inline ${prop} override`,
-                expected: 'theme variable',
-                actual: inlineVal
-              });
-            }
-          }
-        }
+    return layers;
+  }
 
-        // NEW: Check if computed color is hardcoded (not a theme color)
-        // This catches <style> block hardcoded colors, not just inline styles
-        if (hexColor && !allowedColors.includes(hexColor.toUpperCase())) {
-          // Check if this is a text element with non-theme color
-          const isTextElement = el.innerText && el.innerText.trim().length > 0;
-          const isColorProp = prop === 'color';
-          const isBgProp = prop === 'background-color';
-
-          // Only flag visible text colors or prominent backgrounds
-          if ((isColorProp && isTextElement) || (isBgProp && hexColor !== null)) {
-            // Check if any matching CSS rule uses var()
-            let usesVariable = false;
-            try {
-              for (const sheet of document.styleSheets) {
-                try {
-                  for (const rule of sheet.cssRules || []) {
-                    if (rule.selectorText && el.matches(rule.selectorText)) {
-                      const ruleValue = rule.style.getPropertyValue(prop);
-                      if (ruleValue && ruleValue.includes('var(')) {
-                        usesVariable = true;
-                        break;
-                      }
-                    }
-                  }
-                } catch (e) { /* cross-origin */ }
-                if (usesVariable) break;
-              }
-            } catch (e) { /* ignore */ }
-
-            if (!usesVariable) {
-              conflicts.push({
-                element: selector,
-                type: 'hardcoded-color',
-                detail: `Hardcoded ${prop} (not theme variable)`,
-                expected: 'var(--color-*)',
-                actual: hexColor
-              });
-            }
-          }
-        }
-      });
+  // Every color the text may sit on: the layers composited bottom up, gradients and images by their sampled colors
+  function resolveBackdrop(layers) {
+    let colors = [{ r: 255, g: 255, b: 255, a: 1 }];
+    let uncertain = false;
+
+    layers.slice().reverse().forEach(layer => {
+      let paints = [];
+      if (layer.kind === 'color') paints = [layer.color];
+      if (layer.kind === 'gradient') paints = layer.colors;
+      if (layer.kind === 'image') paints = imageSamples.get(layer.url) || [];
+      if (!paints.length) {
+        uncertain = layer.kind === 'image' || uncertain;
+        return;
+      }
+      colors = paints.flatMap(paint => colors.map(color => blend(paint, color)));
     });
 
-    // Deduplicate and limit
-    const seen = new Set();
-    return conflicts.filter(c => {
-      const key = c.element + c.type + c.detail;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    }).slice(0, 100);
+    // the layer that decides the worst case, reported as the background's source
+    const top = layers.find(layer => layer.kind !== 'image' || imageSamples.get(layer.url));
+    return { colors, uncertain, layer: top || null };
   }
 
-  // Scan theme CSS variables
-  function scanThemeVariables() {
-    const variables = [];
-    const root = document.documentElement;
-    const computed = window.getComputedStyle(root);
-
-    // Common theme variable patterns to look for
-    const varPatterns = [
-      '--color-', '--font-', '--spacing-', '--border-', '--shadow-',
-      '--bg-', '--text-', '--primary', '--secondary', '--accent',
-      '--success', '--warning', '--error', '--surface'
-    ];
+  // Elements with text of their own, visible, in a section
+  function getTextElements(section) {
+    const elements = [];
+    const walker = document.createTreeWalker(section, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+    });
 
-    // Get all CSS custom properties from stylesheets
-    const allVars = new Set();
+    while (walker.nextNode() && elements.length < CONTRAST.elementLimit) {
+      const el = walker.currentNode.parentElement;
+      if (!el || elements.includes(el) || el.closest('script, style, noscript, template, svg, [hidden]')) continue;
+      const rect = el.getBoundingClientRect();
+      const styles = getComputedStyle(el);
+      if (!rect.width || !rect.height || styles.visibility === 'hidden' || parseFloat(styles.opacity) === 0) continue;
+      if (el.closest('.visually-hidden')) continue;
+      elements.push(el);
+    }
+    return elements;
+  }
 
+  // Setting values the section exposes for debugging (the `style-debug-settings` snippet)
+  function getSectionSettings(section) {
+    const script = section.querySelector('script[data-section-settings]');
+    if (!script) return {};
     try {
-      for (const sheet of document.styleSheets) {
+      return JSON.parse(script.textContent);
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // The last rule in the section's own styles, then the page's, that sets the property on the element
+  function findDeclaration(el, property, section) {
+    if (el.style && el.style.getPropertyValue(property)) {
+      return { selector: 'style attribute', property, value: el.style.getPropertyValue(property), setting: null };
+    }
+
+    const collect = (rules, sheet, found) => {
+      Array.from(rules).forEach(rule => {
+        if (rule.cssRules && (!rule.media || window.matchMedia(rule.media.mediaText).matches)) {
+          collect(rule.cssRules, sheet, found);
+        } else if (rule.selectorText && rule.style && rule.style.getPropertyValue(property)) {
+          found.push({ rule, sheet });
+        }
+      });
+      return found;
+    };
+    const rulesOf = sheets => sheets.flatMap(sheet => {
+      try {
+        return collect(sheet.cssRules, sheet, []);
+      } catch (e) {
+        // stylesheets from another origin can't be read
+        return [];
+      }
+    });
+
+    const sectionSheets = Array.from(section.querySelectorAll('style')).map(style => style.sheet).filter(Boolean);
+    const pageSheets = Array.from(document.styleSheets).filter(sheet => !sectionSheets.includes(sheet));
+
+    for (const sheets of [sectionSheets, pageSheets]) {
+      const match = rulesOf(sheets).reverse().find(({ rule }) => {
         try {
-          for (const rule of sheet.cssRules || []) {
-            if (rule.style) {
-              for (let i = 0; i < rule.style.length; i++) {
-                const prop = rule.style[i];
-                if (prop.startsWith('--')) {
-                  allVars.add(prop);
-                }
-              }
-            }
-          }
+          return el.matches(rule.selectorText);
         } catch (e) {
-          // Cross-origin stylesheet, skip
+          return false;
         }
+      });
+      if (match) {
+        const owner = match.sheet.ownerNode;
+        return {
+          selector: match.rule.selectorText,
+          property,
+          value: match.rule.style.getPropertyValue(property).trim(),
+          // a <style data-setting="custom_css"> holds the value of that setting
+          setting: owner && owner.dataset ? owner.dataset.setting || null : null
+        };
       }
-    } catch (e) {
-      // Fallback: check common variables
     }
+    return null;
+  }
 
-    // Also check inline root styles
-    const rootStyles = root.getAttribute('style') || '';
-    const inlineVarMatches = rootStyles.match(/--[\w-]+/g) || [];
-    inlineVarMatches.forEach(v => allVars.add(v));
-
-    // Add common Shopify Dawn theme variables
-    const commonVars = [
-      '--color-base-text', '--color-base-background', '--color-base-solid-button-labels',
-      '--color-base-accent-1', '--color-base-accent-2', '--color-base-background-1',
-      '--color-base-background-2', '--color-foreground', '--color-background',
-      '--color-primary', '--color-secondary', '--color-accent', '--color-bg',
-      '--color-surface', '--color-text-primary', '--color-border',
-      '--font-body-family', '--font-heading-family', '--font-body-weight',
-      '--font-heading-weight', '--font-body-scale', '--font-heading-scale'
-    ];
-    commonVars.forEach(v => allVars.add(v));
-
-    // Get resolved values
-    allVars.forEach(varName => {
-      const value = computed.getPropertyValue(varName).trim();
-      if (value) {
-        // Categorize by type
-        let category = 'other';
-        if (varName.includes('color') || varName.includes('bg') || varName.includes('text')) {
-          category = 'color';
-        } else if (varName.includes('font')) {
-          category = 'font';
-        } else if (varName.includes('spacing') || varName.includes('gap') || varName.includes('margin') || varName.includes('padding')) {
-          category = 'spacing';
-        } else if (varName.includes('border') || varName.includes('radius')) {
-          category = 'border';
-        }
+  // The setting behind a failing pair: a color setting with the foreground or background value, a style block
+  // rendered from a setting, or else the section's color scheme
+  function findOffendingSetting(settings, foreground, background, declarations) {
+    const same = (a, b) => a && b && colorToHex(a) === colorToHex(b);
+    const entries = Object.entries(settings);
 
-        variables.push({
-          name: varName,
-          value: value,
-          category: category
-        });
-      }
+    const byColor = entries.find(([, value]) => same(parseColor(value), foreground))
+      || entries.find(([, value]) => same(parseColor(value), background));
+    if (byColor) return { id: byColor[0], value: byColor[1] };
+
+    const fromStyle = declarations.find(declaration => declaration && declaration.setting);
+    if (fromStyle) return { id: fromStyle.setting, value: fromStyle.value };
+
+    if (settings.color_scheme) return { id: 'color_scheme', value: settings.color_scheme };
+    return null;
+  }
+
+  // Render the page in a theme long enough to read computed styles, without transitions in between
+  function withTheme(theme, callback) {
+    const html = document.documentElement;
+    const previousTheme = html.getAttribute('data-theme');
+    const wasReady = html.classList.contains('theme-ready');
+
+    html.classList.remove('theme-ready');
+    html.setAttribute('data-theme', theme);
+    try {
+      return callback();
+    } finally {
+      if (previousTheme) html.setAttribute('data-theme', previousTheme);
+      else html.removeAttribute('data-theme');
+      if (wasReady) html.classList.add('theme-ready');
+    }
+  }
+
+  function getAuditThemes() {
+    const darkModeEnabled = document.documentElement.getAttribute('data-dark-mode-enabled') !== 'false';
+    return darkModeEnabled ? ['light', 'dark'] : ['light'];
+  }
+
+  function checkSection(section, theme) {
+    const settings = getSectionSettings(section);
+    const failures = [];
+    let checked = 0;
+
+    getTextElements(section).forEach(el => {
+      const styles = getComputedStyle(el);
+      const foreground = parseColor(styles.color);
+      if (!foreground || foreground.a === 0) return;
+
+      const backdrop = resolveBackdrop(getBackdropLayers(el, section));
+      const required = getRequiredRatio(styles);
+      // the worst background the text may sit on decides
+      const worst = backdrop.colors
+        .map(background => ({ background, ratio: contrastRatio(blend(foreground, background), background) }))
+        .sort((a, b) => a.ratio - b.ratio)[0];
+      checked++;
+      if (worst.ratio >= required) return;
+
+      const layer = backdrop.layer;
+      const foregroundDeclaration = findDeclaration(el, 'color', section);
+      const backgroundDeclaration = layer && layer.kind !== 'image'
+        ? findDeclaration(layer.element, layer.kind === 'color' ? 'background-color' : 'background-image', section)
+        : null;
+
+      failures.push({
+        sectionId: StyleAudit.getSectionId(section),
+        sectionType: StyleAudit.getSectionType(section) || 'unknown',
+        theme,
+        element: getElementSelector(el),
+        text: el.textContent.trim().replace(/\s+/g, ' ').slice(0, 40),
+        foreground: colorToHex(foreground),
+        background: colorToHex(worst.background),
+        backgroundKind: layer ? layer.kind : 'color',
+        ratio: Math.round(worst.ratio * 100) / 100,
+        required,
+        uncertain: backdrop.uncertain,
+        declaration: foregroundDeclaration,
+        backgroundDeclaration,
+        setting: findOffendingSetting(
+          settings,
+          foreground,
+          layer && layer.kind === 'color' ? layer.color : null,
+          [foregroundDeclaration, backgroundDeclaration]
+        )
+      });
     });
 
-    // Sort by category then name
-    variables.sort((a, b) => {
-      if (a.category !== b.category) return a.category.localeCompare(b.category);
-      return a.name.localeCompare(b.name);
+    return { failures, checked };
+  }
+
+  // Audit text contrast in every .shopify-section under each theme. Images are sampled first (asynchronously), the
+  // page is then checked synchronously per theme. The report is plain JSON, for CI as much as for the modal
+  async function auditContrast() {
+    const sections = Array.from(document.querySelectorAll('.shopify-section'));
+    const themes = getAuditThemes();
+
+    // every image any text may sit on, in either theme
+    const urls = new Set();
+    themes.forEach(theme => withTheme(theme, () => {
+      sections.forEach(section => {
+        section.querySelectorAll('img').forEach(img => img.currentSrc && urls.add(img.currentSrc));
+        section.querySelectorAll('*').forEach(el => {
+          ['::before', '::after', null].forEach(pseudo => {
+            const url = getBackgroundImageUrl(getComputedStyle(el, pseudo).backgroundImage);
+            if (url) urls.add(url);
+          });
+        });
+      });
+    }));
+    await Promise.all(Array.from(urls, url => sampleImage(url).then(colors => {
+      if (colors) imageSamples.set(url, colors);
+    })));
+
+    const failures = [];
+    let checked = 0;
+    themes.forEach(theme => withTheme(theme, () => {
+      sections.forEach(section => {
+        const result = checkSection(section, theme);
+        failures.push(...result.failures);
+        checked += result.checked;
+      });
+    }));
+
+    const bySection = new Map();
+    failures.forEach(failure => {
+      const entry = bySection.get(failure.sectionId)
+        || { sectionId: failure.sectionId, sectionType: failure.sectionType, failures: [] };
+      entry.failures.push(failure);
+      bySection.set(failure.sectionId, entry);
     });
 
-    return variables;
+    return {
+      url: window.location.href,
+      generated: new Date().toISOString(),
+      themes,
+      standard: 'WCAG 2.1 AA',
+      checked,
+      passed: failures.length === 0,
+      failures,
+      sections: Array.from(bySection.values())
+    };
+  }
+
+  // The contrast step of the scan: audits the page and adds its failures to the scan results
+  async function scanContrast() {
+    const report = await auditContrast();
+    contrastFailures = report.failures;
+    inconsistencies.contrast = contrastFailures;
+    return inconsistencies;
   }
 
   // Element inspector functionality
@@ -585,6 +708,34 @@
     }
   }
 
+  // The token closest to each of the element's sized and colored values, for the ones that aren't tokens
+  function getNearestTokens(computed) {
+    const themeTokens = getTokens();
+    const { tolerance } = themeTokens;
+    const lengths = (property, values, tokenList, limit, unit = 'px') => values
+      .map(value => parseFloat(value))
+      .filter((value, index, all) => value > 0 && all.indexOf(value) === index)
+      .map(value => ({ property, value: value + unit, unit, ...StyleAudit.matchToken(value, tokenList, limit) }));
+    const sides = prefix => ['Top', 'Right', 'Bottom', 'Left'].map(side => computed[prefix + side]);
+    const color = (property, value) => {
+      const hex = rgbToHex(value);
+      if (!hex) return [];
+      const match = StyleAudit.matchColor(hex, document, themeTokens);
+      return [{
+        property, value: hex, unit: '', isToken: match.isTheme, isNearMiss: match.isNearMiss, nearest: match.nearest
+      }];
+    };
+
+    return [
+      ...lengths('font-size', [computed.fontSize], themeTokens.fontSizes, tolerance.fontSize),
+      ...lengths('font-weight', [computed.fontWeight], themeTokens.fontWeights, 0, ''),
+      ...color('color', computed.color),
+      ...color('background', computed.backgroundColor),
+      ...lengths('padding', sides('padding'), themeTokens.spacing, tolerance.spacing),
+      ...lengths('margin', sides('margin'), themeTokens.spacing, tolerance.spacing)
+    ].filter(match => match.isToken === false && match.nearest);
+  }
+
   function showElementDetails(el) {
     const modal = document.getElementById(DEBUG_MODAL_ID);
     if (!modal) return;
@@ -621,6 +772,7 @@
       },
       inlineStyles: el.getAttribute('style') || 'none'
     };
+    const nearestTokens = getNearestTokens(computed);
 
     // Switch to a details view
     const panel = modal.querySelector('[data-panel="inspector"]');
@@ -666,6 +818,17 @@
             <div class="debug-prop"><span>z-index:</span> ${styleInfo.styles.zIndex}</div>
           </div>
 
+          ${nearestTokens.length ? `
+            <div class="debug-section">
+              <div class="debug-section-title">Nearest Tokens</div>
+              ${nearestTokens.map(match => `
+                <div class="debug-prop${match.isNearMiss ? ' debug-prop--near-miss' : ''}">
+                  <span>${match.property}:</span> ${match.value} → ${match.nearest.name} (${match.nearest.value}${match.unit})
+                </div>
+              `).join('')}
+            </div>
+          ` : ''}
+
           <div class="debug-section">
             <div class="debug-section-title">Inline Styles</div>
             <div class="debug-inline-styles">${styleInfo.inlineStyles}</div>
@@ -719,6 +882,8 @@
             <button type="button" class="debug-modal__tab" data-tab="spacing">Spacing</button>
             <button type="button" class="debug-modal__tab" data-tab="conflicts">Conflicts</button>
             <button type="button" class="debug-modal__tab" data-tab="variables">Variables</button>
+            <button type="button" class="debug-modal__tab" data-tab="contrast">Contrast</button>
+            <button type="button" class="debug-modal__tab" data-tab="baseline">Baseline</button>
             <button type="button" class="debug-modal__tab" data-tab="pageinfo">Page Info</button>
             <button type="button" class="debug-modal__tab" data-tab="inspector">Inspector</button>
           </div>
@@ -730,6 +895,8 @@
             <div class="debug-modal__panel" data-panel="spacing"></div>
             <div class="debug-modal__panel" data-panel="conflicts"></div>
             <div class="debug-modal__panel" data-panel="variables"></div>
+            <div class="debug-modal__panel" data-panel="contrast"></div>
+            <div class="debug-modal__panel" data-panel="baseline"></div>
             <div class="debug-modal__panel" data-panel="pageinfo"></div>
             <div class="debug-modal__panel" data-panel="inspector"></div>
           </div>
@@ -745,6 +912,11 @@
     modal.querySelector('.debug-modal__refresh').addEventListener('click', refreshScan);
     modal.querySelector('.debug-modal__copy').addEventListener('click', copyAllToClipboard);
 
+    // The baseline panel is rendered again after every change, so its controls are handled here
+    const baselinePanel = modal.querySelector('[data-panel="baseline"]');
+    baselinePanel.addEventListener('click', onBaselineClick);
+    baselinePanel.addEventListener('change', onBaselineChange);
+
     modal.querySelectorAll('.debug-modal__tab').forEach(tab => {
       tab.addEventListener('click', () => {
         modal.querySelectorAll('.debug-modal__tab').forEach(t => t.classList.remove('active'));
@@ -757,8 +929,37 @@
     return modal;
   }
 
-  // Format data for clipboard
-  function formatDataForClipboard(data) {
+  // " (near miss: 1px from body, 16px)", or nothing when the value is a token or no token is near
+  function describeTokenMatch(item, unit = '') {
+    if (!item.isNearMiss || !item.nearest) return '';
+    const { nearest } = item;
+    return ` (near miss: ${nearest.distance}${unit} from ${nearest.name}, ${nearest.value}${unit})`;
+  }
+
+  // The baseline diff as report lines: counts per category, then what's new and what's fixed
+  function formatDiffLines(diff) {
+    const lines = [];
+    const { baseline, categories } = diff;
+    const count = key => categories.reduce((sum, category) => sum + category[key].length, 0);
+
+    lines.push('BASELINE DIFF: ' + baseline.name + ' (saved ' + new Date(baseline.savedAt).toLocaleString() +
+      (baseline.url ? ' on ' + baseline.url : '') + ')');
+    lines.push('-'.repeat(40));
+    lines.push(count('new') + ' new, ' + count('fixed') + ' fixed, ' + count('unchanged') + ' unchanged');
+    categories.forEach(category => {
+      lines.push('');
+      lines.push(BASELINE_LABELS[category.category] + ': ' + category.new.length + ' new, ' +
+        category.fixed.length + ' fixed, ' + category.unchanged.length + ' unchanged');
+      category.new.forEach(issue => lines.push('  + ' + issue.value + ' — ' + issue.detail));
+      category.fixed.forEach(issue => lines.push('  - ' + issue.value + ' — ' + issue.detail));
+    });
+    lines.push('');
+
+    return lines;
+  }
+
+  // Format data for clipboard; with diffOnly, just the diff against the active baseline
+  function formatDataForClipboard(data, { diffOnly = false } = {}) {
     const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
     const shopifyDebug = window.ShopifyDebug || {};
     const templateInfo = shopifyDebug.template || {};
@@ -773,6 +974,13 @@
     lines.push('='.repeat(60));
     lines.push('');
 
+    const diff = getBaselineDiff(data);
+    if (diffOnly) {
+      lines.push(...(diff ? formatDiffLines(diff) : ['No baseline to compare with', '']));
+      lines.push('='.repeat(60));
+      return lines.join('\n');
+    }
+
     // Page/Template Info
     lines.push('PAGE & TEMPLATE INFO');
     lines.push('-'.repeat(40));
@@ -802,7 +1010,9 @@
     lines.push('FONT SIZES (' + data.fontSize.length + ' unique sizes)');
     lines.push('-'.repeat(40));
     data.fontSize.forEach(item => {
-      lines.push('  • ' + item.value + ' — ' + item.elements.slice(0, 3).join(', '));
+      const marker = item.isToken === false ? '⚠ ' : '';
+      lines.push('  • ' + marker + item.value + describeTokenMatch(item, 'px') + ' — ' +
+        item.elements.slice(0, 3).join(', '));
     });
     lines.push('');
 
@@ -824,7 +1034,7 @@
     if (nonThemeColors.length > 0) {
       lines.push('⚠ Non-theme colors (' + nonThemeColors.length + '):');
       nonThemeColors.forEach(item => {
-        lines.push('  • ' + item.value + ' — ' + item.elements.slice(0, 3).join(', '));
+        lines.push('  • ' + item.value + describeTokenMatch(item) + ' — ' + item.elements.slice(0, 3).join(', '));
       });
       lines.push('');
     } else {
@@ -848,7 +1058,7 @@
     if (inconsistentSpacing.length > 0) {
       lines.push('⚠ Non-standard spacing values (' + inconsistentSpacing.length + '):');
       inconsistentSpacing.forEach(item => {
-        lines.push('  • ' + item.value + ' — ' + item.properties.join(', '));
+        lines.push('  • ' + item.value + describeTokenMatch(item, 'px') + ' — ' + item.properties.join(', '));
         lines.push('    Elements: ' + item.elements.slice(0, 3).join(', '));
       });
       lines.push('');
@@ -876,6 +1086,27 @@
     }
     lines.push('');
 
+    // Contrast
+    lines.push('CONTRAST (WCAG AA, ' + getAuditThemes().join(' + ') + ')');
+    lines.push('-'.repeat(40));
+    if (!data.contrast) {
+      lines.push('Contrast not audited yet');
+    } else if (data.contrast.length === 0) {
+      lines.push('✓ All text meets WCAG AA contrast');
+    } else {
+      lines.push('⚠ Found ' + data.contrast.length + ' contrast failures:');
+      data.contrast.forEach(item => {
+        lines.push('  • [' + item.sectionId + '] ' + item.theme + ': ' + item.element + ' "' + item.text + '"');
+        lines.push('    ' + item.ratio + ':1 (needs ' + item.required + ':1), ' + item.foreground + ' on ' +
+          item.background + ' (' + item.backgroundKind + (item.uncertain ? ', image not sampled' : '') + ')');
+        if (item.setting) lines.push('    Setting: ' + item.setting.id + ' = ' + item.setting.value);
+        if (item.declaration) {
+          lines.push('    Rule: ' + item.declaration.selector + ' { color: ' + item.declaration.value + ' }');
+        }
+      });
+    }
+    lines.push('');
+
     // Theme Variables
     const variables = scanThemeVariables();
     lines.push('THEME VARIABLES (' + variables.length + ' found)');
@@ -898,29 +1129,28 @@
       });
     }
     lines.push('');
+
+    if (diff) lines.push(...formatDiffLines(diff));
     lines.push('='.repeat(60));
 
     return lines.join('\n');
   }
 
-  // Copy all data to clipboard
-  function copyAllToClipboard() {
-    const data = scanStyles();
-    const text = formatDataForClipboard(data);
-
-    const copyBtn = document.querySelector('.debug-modal__copy');
-    const copyText = copyBtn.querySelector('.debug-modal__copy-text');
+  // Copy text, with feedback on the button that asked for it
+  function copyToClipboard(text, button, label) {
+    const copyText = button.querySelector('.debug-modal__copy-text');
 
-    navigator.clipboard.writeText(text).then(() => {
-      // Show success feedback
+    const showCopied = () => {
       copyText.textContent = 'Copied!';
-      copyBtn.classList.add('debug-modal__copy--success');
+      button.classList.add('debug-modal__copy--success');
 
       setTimeout(() => {
-        copyText.textContent = 'Copy All';
-        copyBtn.classList.remove('debug-modal__copy--success');
+        copyText.textContent = label;
+        button.classList.remove('debug-modal__copy--success');
       }, 2000);
-    }).catch(err => {
+    };
+
+    navigator.clipboard.writeText(text).then(showCopied).catch(err => {
       // Fallback for older browsers
       const textarea = document.createElement('textarea');
       textarea.value = text;
@@ -931,16 +1161,22 @@
       document.execCommand('copy');
       document.body.removeChild(textarea);
 
-      copyText.textContent = 'Copied!';
-      copyBtn.classList.add('debug-modal__copy--success');
-
-      setTimeout(() => {
-        copyText.textContent = 'Copy All';
-        copyBtn.classList.remove('debug-modal__copy--success');
-      }, 2000);
+      showCopied();
     });
   }
 
+  // Copy all data to clipboard
+  function copyAllToClipboard() {
+    const data = scanStyles();
+    copyToClipboard(formatDataForClipboard(data), document.querySelector('.debug-modal__copy'), 'Copy All');
+  }
+
+  // Copy the diff against the active baseline
+  function copyDiffToClipboard(button) {
+    const data = scanStyles();
+    copyToClipboard(formatDataForClipboard(data, { diffOnly: true }), button, 'Copy Diff');
+  }
+
   // Render results into panels
   function renderResults(data) {
     const modal = document.getElementById(DEBUG_MODAL_ID);
@@ -966,12 +1202,17 @@
 
     // Font Sizes Panel
     const sizesPanel = modal.querySelector('[data-panel="sizes"]');
+    const offScaleSizes = data.fontSize.filter(item => item.isToken === false);
     sizesPanel.innerHTML = `
+      ${offScaleSizes.length > 0
+        ? `<div class="debug-modal__warning">${offScaleSizes.length} font sizes are not tokens:</div>`
+        : ''}
       <div class="debug-modal__info">Found ${data.fontSize.length} unique font sizes:</div>
       <div class="debug-modal__list debug-modal__list--grid">
         ${data.fontSize.map(item => `
-          <div class="debug-modal__item">
+          <div class="debug-modal__item${item.isToken === false ? ' debug-modal__item--error' : ''}">
             <div class="debug-modal__item-value" style="font-size: 14px">${item.value}</div>
+            ${item.isNearMiss ? `<div class="debug-modal__item-actual">Near ${item.nearest.name} (${item.nearest.value}px)</div>` : ''}
             <div class="debug-modal__item-elements">${item.elements.slice(0, 2).join(', ')}</div>
           </div>
         `).join('')}
@@ -1005,6 +1246,7 @@
             <div class="debug-modal__item debug-modal__item--error">
               <div class="debug-modal__color-swatch" style="background-color: ${item.value.replace(' (bg)', '')}"></div>
               <div class="debug-modal__item-value">${item.value}</div>
+              ${item.isNearMiss ? `<div class="debug-modal__item-actual">Near ${item.nearest.name} (${item.nearest.value})</div>` : ''}
               <div class="debug-modal__item-elements">${item.elements.slice(0, 2).join(', ')}</div>
             </div>
           `).join('')}
@@ -1035,6 +1277,7 @@
           ${inconsistentSpacing.map(item => `
             <div class="debug-modal__item debug-modal__item--error">
               <div class="debug-modal__item-value">${item.value}</div>
+              ${item.isNearMiss ? `<div class="debug-modal__item-actual">Near ${item.nearest.name} (${item.nearest.value}px)</div>` : ''}
               <div class="debug-modal__item-props">${item.properties.join(', ')}</div>
               <div class="debug-modal__item-elements">${item.elements.slice(0, 2).join(', ')}</div>
             </div>
@@ -1054,8 +1297,8 @@
       </div>
 
       <div class="debug-modal__divider"></div>
-      <div class="debug-modal__info">Expected spacing scale:</div>
-      <div class="debug-modal__note">0, 4, 8, 12, 16, 20, 24, 28, 32, 40, 48, 56, 64, 80, 96, 112, 128px</div>
+      <div class="debug-modal__info">Spacing tokens:</div>
+      <div class="debug-modal__note">${getTokens().spacing.map(token => token.value).join(', ')}px</div>
     `;
 
     // Conflicts Panel
@@ -1159,6 +1402,12 @@
       ` : ''}
     `;
 
+    // Contrast Panel
+    renderContrastResults(data.contrast);
+
+    // Baseline Panel
+    renderBaselineDiff(data);
+
     // Page Info Panel
     const pageinfoPanel = modal.querySelector('[data-panel="pageinfo"]');
     const shopifyDebug = window.ShopifyDebug || {};
@@ -1305,6 +1554,200 @@
     }
   }
 
+  // Page text shown in the modal
+  function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, character => '&#' + character.charCodeAt(0) + ';');
+  }
+
+  // Render contrast failures grouped by section; null while the audit is running
+  function renderContrastResults(failures) {
+    const modal = document.getElementById(DEBUG_MODAL_ID);
+    if (!modal) return;
+
+    const contrastPanel = modal.querySelector('[data-panel="contrast"]');
+    const themes = getAuditThemes();
+
+    if (!failures) {
+      contrastPanel.innerHTML = '<div class="debug-modal__info">Checking contrast in ' + themes.join(' and ') +
+        ' mode...</div>';
+      return;
+    }
+
+    const sections = new Map();
+    failures.forEach(item => {
+      if (!sections.has(item.sectionId)) sections.set(item.sectionId, []);
+      sections.get(item.sectionId).push(item);
+    });
+
+    contrastPanel.innerHTML = `
+      ${failures.length > 0 ? `
+        <div class="debug-modal__warning">Found ${failures.length} contrast failures in ${sections.size} sections:</div>
+        ${Array.from(sections.entries()).map(([sectionId, items]) => `
+          <div class="debug-modal__var-section">
+            <div class="debug-section-title">${items[0].sectionType} <code>${sectionId}</code></div>
+            <div class="debug-modal__list">
+              ${items.map(item => `
+                <div class="debug-modal__item debug-modal__item--error">
+                  <div class="debug-modal__contrast-sample" style="color: ${item.foreground}; background: ${item.background}">
+                    Aa
+                  </div>
+                  <div class="debug-modal__item-value">${item.element}</div>
+                  <div class="debug-modal__item-type">${item.theme} · ${item.ratio}:1, needs ${item.required}:1</div>
+                  <div class="debug-modal__item-detail">
+                    ${item.foreground} on ${item.background} (${item.backgroundKind}${item.uncertain ? ', image not sampled' : ''})
+                    — "${escapeHtml(item.text)}"
+                  </div>
+                  ${item.declaration ? `<div class="debug-modal__item-code">${escapeHtml(item.declaration.selector)} { color: ${escapeHtml(item.declaration.value)} }</div>` : ''}
+                  ${item.setting ? `<div class="debug-modal__item-actual">Setting: ${escapeHtml(item.setting.id)} = ${escapeHtml(String(item.setting.value))}</div>` : ''}
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        `).join('')}
+      ` : '<div class="debug-modal__success">All text meets WCAG AA contrast</div>'}
+
+      <div class="debug-modal__divider"></div>
+      <div class="debug-modal__info">What this checks:</div>
+      <div class="debug-modal__note">
+        • Text in every section, in ${themes.join(' and ')} mode<br>
+        • 4.5:1 for body text, 3:1 for large text (24px, or 18.66px bold)<br>
+        • Against the worst color behind it: gradient stops and sampled image colors
+      </div>
+    `;
+  }
+
+  // One category of the baseline diff: what's new and what's fixed, unchanged issues only counted
+  function renderDiffCategory({ category, new: added, fixed, unchanged }) {
+    const issue = (item, modifier) => `
+      <div class="debug-modal__item debug-modal__item--${modifier}">
+        <div class="debug-modal__item-value">${escapeHtml(String(item.value))}</div>
+        <div class="debug-modal__item-detail">${escapeHtml(String(item.detail))}</div>
+        ${item.elements.length ? `<div class="debug-modal__item-elements">${escapeHtml(item.elements.slice(0, 2).join(', '))}</div>` : ''}
+      </div>
+    `;
+
+    return `
+      <div class="debug-modal__var-section">
+        <div class="debug-section-title">
+          ${BASELINE_LABELS[category]} · ${added.length} new, ${fixed.length} fixed, ${unchanged.length} unchanged
+        </div>
+        ${added.length || fixed.length ? `
+          <div class="debug-modal__list">
+            ${added.map(item => issue(item, 'error')).join('')}
+            ${fixed.map(item => issue(item, 'fixed')).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  // Save, pick and import baselines, and the current scan diffed against the active one
+  function renderBaselineDiff(data) {
+    const modal = document.getElementById(DEBUG_MODAL_ID);
+    if (!modal) return;
+
+    const baselinePanel = modal.querySelector('[data-panel="baseline"]');
+    const names = Object.keys(getBaselines());
+    const diff = getBaselineDiff(data);
+    const activeName = diff ? diff.baseline.name : '';
+    const total = key => diff.categories.reduce((sum, category) => sum + category[key].length, 0);
+
+    baselinePanel.innerHTML = `
+      <div class="debug-modal__baseline-controls">
+        <input type="text" class="debug-modal__baseline-name" placeholder="Baseline name, e.g. before deploy"
+          aria-label="Baseline name">
+        <button type="button" class="debug-modal__refresh" data-baseline-action="save">Save Baseline</button>
+        <label class="debug-modal__refresh">
+          Import JSON
+          <input type="file" accept="application/json,.json" data-baseline-import hidden>
+        </label>
+      </div>
+      ${names.length ? `
+        <div class="debug-modal__baseline-controls">
+          <select data-baseline-select aria-label="Compare with">
+            <option value="">Don't compare</option>
+            ${names.map(name => `
+              <option value="${escapeHtml(name)}"${name === activeName ? ' selected' : ''}>${escapeHtml(name)}</option>
+            `).join('')}
+          </select>
+          ${diff ? `
+            <button type="button" class="debug-modal__refresh" data-baseline-action="download">Download JSON</button>
+            <button type="button" class="debug-modal__copy" data-baseline-action="copy">
+              <span class="debug-modal__copy-text">Copy Diff</span>
+            </button>
+            <button type="button" class="debug-modal__refresh" data-baseline-action="delete">Delete</button>
+          ` : ''}
+        </div>
+      ` : ''}
+      ${baselineStatus ? `<div class="debug-modal__info">${escapeHtml(baselineStatus)}</div>` : ''}
+
+      ${diff ? `
+        <div class="${total('new') ? 'debug-modal__warning' : 'debug-modal__success'}">
+          Compared with "${escapeHtml(diff.baseline.name)}", saved ${new Date(diff.baseline.savedAt).toLocaleString()}:
+          ${total('new')} new, ${total('fixed')} fixed, ${total('unchanged')} unchanged
+        </div>
+        ${diff.baseline.url && diff.baseline.url !== window.location.pathname
+          ? `<div class="debug-modal__info">The baseline was saved on ${escapeHtml(diff.baseline.url)}</div>`
+          : ''}
+        ${diff.categories.map(renderDiffCategory).join('')}
+      ` : `<div class="debug-modal__info">${names.length
+        ? 'Pick a baseline to compare this scan with.'
+        : 'Save this scan as a baseline, then rescan after a change or deploy to see what is new and fixed.'}</div>`}
+
+      <div class="debug-modal__divider"></div>
+      <div class="debug-modal__info">How scans compare:</div>
+      <div class="debug-modal__note">
+        • Baselines are kept in this browser; download one to keep it or share it<br>
+        • Issues match by value, so a changed variable is its old value fixed and its new value new
+      </div>
+    `;
+  }
+
+  function onBaselineClick(event) {
+    const button = event.target.closest('[data-baseline-action]');
+    if (!button) return;
+
+    const baseline = getActiveBaseline();
+    switch (button.dataset.baselineAction) {
+      case 'save': {
+        const input = document.querySelector('.debug-modal__baseline-name');
+        saveBaseline(input.value.trim() || new Date().toLocaleString());
+        break;
+      }
+      case 'download':
+        if (baseline) downloadBaseline(baseline);
+        return;
+      case 'copy':
+        copyDiffToClipboard(button);
+        return;
+      case 'delete':
+        if (baseline) deleteBaseline(baseline.name);
+        break;
+    }
+    renderBaselineDiff(inconsistencies);
+  }
+
+  async function onBaselineChange(event) {
+    if (event.target.matches('[data-baseline-select]')) {
+      writeStorage(ACTIVE_BASELINE_KEY, event.target.value);
+      baselineStatus = null;
+    } else if (event.target.matches('[data-baseline-import]') && event.target.files.length) {
+      await importBaseline(event.target.files[0]);
+    } else {
+      return;
+    }
+    renderBaselineDiff(inconsistencies);
+  }
+
+  // Run the scan: render the style checks right away, the contrast audit once images are sampled
+  function runScan() {
+    return refreshTokens().then(() => {
+      renderResults(scanStyles());
+      renderContrastResults(null);
+      return scanContrast();
+    }).then(data => renderContrastResults(data.contrast));
+  }
+
   // Show the modal
   function showModal() {
     let modal = document.getElementById(DEBUG_MODAL_ID);
@@ -1315,8 +1758,7 @@
     document.body.style.overflow = 'hidden';
 
     // Run scan
-    const data = scanStyles();
-    renderResults(data);
+    runScan();
   }
 
   // Hide the modal
@@ -1330,8 +1772,7 @@
 
   // Refresh scan
   function refreshScan() {
-    const data = scanStyles();
-    renderResults(data);
+    runScan();
   }
 
   // Toggle modal
@@ -1361,11 +1802,32 @@
     scan: scanStyles,
     scanConflicts: scanConflicts,
     scanVariables: scanThemeVariables,
+    auditContrast: auditContrast,
+    saveBaseline: name => saveBaseline(name),
+    diffBaseline: () => getBaselineDiff(scanStyles()),
     getPageInfo: getPageInfo,
     inspect: enableInspector,
     stopInspect: disableInspector
   };
 
+  // Headless contrast audit for CI: with ?style_debug=contrast the page audits itself once loaded and writes the
+  // report into the page, as JSON in #style-debug-contrast-report, with data-style-debug-contrast="pass" or "fail"
+  // on <html>. For example:
+  //   chrome --headless --virtual-time-budget=20000 --dump-dom "https://shop.example/?style_debug=contrast"
+  // or call StyleDebug.auditContrast() from a headless browser script and fail the build on report.passed.
+  if (new URLSearchParams(window.location.search).get('style_debug') === 'contrast') {
+    window.addEventListener('load', function() {
+      auditContrast().then(report => {
+        const script = document.createElement('script');
+        script.type = 'application/json';
+        script.id = 'style-debug-contrast-report';
+        script.textContent = JSON.stringify(report);
+        document.body.appendChild(script);
+        document.documentElement.setAttribute('data-style-debug-contrast', report.passed ? 'pass' : 'fail');
+      });
+    });
+  }
+
   // Auto-show if debug button exists
   document.addEventListener('DOMContentLoaded', function() {
     const debugBtn = document.querySelector('.debug-modal-trigger');
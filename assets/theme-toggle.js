@@ -1,14 +1,19 @@
 /**
- * Theme Toggle - Light/Dark Mode
+ * Theme Toggle - Light/Dark/System Mode
  * Handles theme switching and persists user preference in localStorage
  * Similar to next-themes pattern from React
  *
+ * The preference is 'light', 'dark' or 'system'. The resolved theme, set as data-theme on <html>, is always
+ * 'light' or 'dark': 'system' follows prefers-color-scheme live, or the dark mode schedule from the theme
+ * settings when one is set (data-theme-schedule, e.g. "19:00-07:00").
+ *
  * Features:
  * - FOUC prevention (inline script in head sets theme before CSS loads)
- * - System preference detection (prefers-color-scheme)
+ * - System preference tracking (prefers-color-scheme, updated when the OS setting changes)
+ * - Optional time-of-day schedule for the system preference
  * - localStorage persistence
  * - Smooth transitions after initial load
- * - Custom event dispatch for other scripts
+ * - Custom event dispatch and subscribers for other scripts
  */
 
 (function() {
@@ -17,11 +22,17 @@
   const STORAGE_KEY = 'theme-preference';
   const THEME_LIGHT = 'light';
   const THEME_DARK = 'dark';
+  const THEME_SYSTEM = 'system';
+  const PREFERENCES = [THEME_LIGHT, THEME_DARK, THEME_SYSTEM];
   const TRANSITION_DURATION = 200; // ms - matches CSS transition
+  const SCHEDULE_INTERVAL = 60 * 1000; // ms - schedules are set to the minute
+
+  const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+  const subscribers = new Set();
 
   /**
    * Get the user's theme preference
-   * Priority: dark mode setting > localStorage > default (light)
+   * Priority: dark mode setting > localStorage > default from theme settings (system)
    */
   function getThemePreference() {
     // If dark mode is disabled, always return light
@@ -31,12 +42,63 @@
 
     // Check localStorage first
     const storedTheme = localStorage.getItem(STORAGE_KEY);
-    if (storedTheme) {
+    if (PREFERENCES.includes(storedTheme)) {
       return storedTheme;
     }
 
-    // Default to light mode for new visitors
-    return THEME_LIGHT;
+    // New visitors get the default preference from the theme settings
+    const defaultTheme = document.documentElement.getAttribute('data-theme-default');
+    return PREFERENCES.includes(defaultTheme) ? defaultTheme : THEME_SYSTEM;
+  }
+
+  /**
+   * Get the dark mode schedule of the system preference
+   * @returns {{start: number, end: number}|null} minutes after midnight, null without a schedule
+   */
+  function getSchedule() {
+    const schedule = document.documentElement.getAttribute('data-theme-schedule') || '';
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(schedule.trim());
+    if (!match) {
+      return null;
+    }
+
+    return {
+      start: Number(match[1]) * 60 + Number(match[2]),
+      end: Number(match[3]) * 60 + Number(match[4])
+    };
+  }
+
+  /**
+   * Whether a time falls in the schedule, which may run past midnight (19:00-07:00)
+   */
+  function isScheduledDark(schedule, date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (schedule.start <= schedule.end) {
+      return minutes >= schedule.start && minutes < schedule.end;
+    }
+    return minutes >= schedule.start || minutes < schedule.end;
+  }
+
+  /**
+   * Resolve a preference to the theme it shows
+   * @param {string} preference - 'light', 'dark' or 'system'
+   * @returns {string} 'light' or 'dark'
+   */
+  function resolveTheme(preference) {
+    if (!isDarkModeEnabled()) {
+      return THEME_LIGHT;
+    }
+
+    if (preference !== THEME_SYSTEM) {
+      return preference === THEME_DARK ? THEME_DARK : THEME_LIGHT;
+    }
+
+    const schedule = getSchedule();
+    if (schedule) {
+      return isScheduledDark(schedule) ? THEME_DARK : THEME_LIGHT;
+    }
+
+    return colorSchemeQuery.matches ? THEME_DARK : THEME_LIGHT;
   }
 
   /**
@@ -47,19 +109,30 @@
   }
 
   /**
-   * Apply theme to the document
-   * @param {string} theme - 'light' or 'dark'
+   * Save a preference and apply it to the document
+   * @param {string} preference - 'light', 'dark' or 'system'
    * @param {boolean} withTransition - whether to show transition effect
    */
-  function setTheme(theme, withTransition = true) {
-    const html = document.documentElement;
-    const isReady = html.classList.contains('theme-ready');
-
+  function setTheme(preference, withTransition = true) {
     // If dark mode is disabled, always force light
-    if (!isDarkModeEnabled() && theme === THEME_DARK) {
-      theme = THEME_LIGHT;
+    if (!isDarkModeEnabled() || !PREFERENCES.includes(preference)) {
+      preference = THEME_LIGHT;
     }
 
+    localStorage.setItem(STORAGE_KEY, preference);
+    applyTheme(preference, withTransition);
+  }
+
+  /**
+   * Apply a preference to the document without saving it
+   * @param {string} preference - 'light', 'dark' or 'system'
+   * @param {boolean} withTransition - whether to show transition effect
+   */
+  function applyTheme(preference, withTransition = true) {
+    const html = document.documentElement;
+    const isReady = html.classList.contains('theme-ready');
+    const theme = resolveTheme(preference);
+
     // If theme is ready and transition requested, do smooth transition
     if (isReady && withTransition) {
       // Optional: Use overlay for extra smooth transition
@@ -69,21 +142,37 @@
 
     // Set data-theme attribute on HTML element
     html.setAttribute('data-theme', theme);
-    localStorage.setItem(STORAGE_KEY, theme);
+    html.setAttribute('data-theme-preference', preference);
 
     // Update button states
-    updateToggleButtons(theme);
+    updateToggleButtons(preference, theme);
 
     // Update meta theme-color for mobile browsers
     updateMetaThemeColor(theme);
 
     // Dispatch custom event for other scripts to listen to
-    window.dispatchEvent(new CustomEvent('themechange', {
-      detail: {
-        theme,
-        isInitial: !isReady
-      }
-    }));
+    // theme is the resolved theme, as before the system preference existed
+    const detail = {
+      preference,
+      resolvedTheme: theme,
+      theme,
+      isInitial: !isReady
+    };
+    window.dispatchEvent(new CustomEvent('themechange', { detail }));
+    subscribers.forEach(callback => callback(detail));
+  }
+
+  /**
+   * Re-resolve the system preference when what it follows changes (OS setting, schedule)
+   */
+  function refreshSystemTheme() {
+    const html = document.documentElement;
+    const preference = html.getAttribute('data-theme-preference');
+    if (preference !== THEME_SYSTEM || resolveTheme(preference) === html.getAttribute('data-theme')) {
+      return;
+    }
+
+    applyTheme(preference, true);
   }
 
   /**
@@ -131,18 +220,17 @@
 
   /**
    * Update all toggle button states
+   * Each toggle is a three-state control: the button of the preference is pressed,
+   * and the toggle shows which theme 'system' resolves to (data-resolved-theme)
    */
-  function updateToggleButtons(theme) {
+  function updateToggleButtons(preference, theme) {
     // Update aria-pressed states on buttons
-    const lightBtns = document.querySelectorAll('.theme-toggle__btn--light');
-    const darkBtns = document.querySelectorAll('.theme-toggle__btn--dark');
-
-    lightBtns.forEach(btn => {
-      btn.setAttribute('aria-pressed', theme === THEME_LIGHT);
+    document.querySelectorAll('.theme-toggle__btn[data-theme-value]').forEach(btn => {
+      btn.setAttribute('aria-pressed', btn.getAttribute('data-theme-value') === preference);
     });
 
-    darkBtns.forEach(btn => {
-      btn.setAttribute('aria-pressed', theme === THEME_DARK);
+    document.querySelectorAll('.theme-toggle').forEach(toggle => {
+      toggle.setAttribute('data-resolved-theme', theme);
     });
   }
 
@@ -163,8 +251,7 @@
    */
   function init() {
     // Apply saved theme (without transition on initial load)
-    const savedTheme = getThemePreference();
-    setTheme(savedTheme, false);
+    applyTheme(getThemePreference(), false);
 
     // Mark theme as ready after a brief delay (enables transitions)
     setThemeReady();
@@ -181,6 +268,18 @@
       }
     });
 
+    // Follow the OS setting live while the preference is 'system'
+    colorSchemeQuery.addEventListener('change', refreshSystemTheme);
+
+    // Check the schedule every minute, and right away when the tab comes back (timers are throttled in the background)
+    if (getSchedule()) {
+      setInterval(refreshSystemTheme, SCHEDULE_INTERVAL);
+      document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'visible') {
+          refreshSystemTheme();
+        }
+      });
+    }
   }
 
   // Initialize on DOM ready
@@ -193,22 +292,38 @@
   // Early theme application (backup - main FOUC prevention is inline in head)
   // This runs immediately when script is parsed
   const savedTheme = getThemePreference();
-  document.documentElement.setAttribute('data-theme', savedTheme);
+  document.documentElement.setAttribute('data-theme', resolveTheme(savedTheme));
+  document.documentElement.setAttribute('data-theme-preference', savedTheme);
 
   // Expose functions globally for external use (similar to next-themes useTheme hook)
   window.ThemeToggle = {
+    // Set the preference: 'light', 'dark' or 'system'
     setTheme: function(theme) {
       setTheme(theme, true);
     },
+    // The preference: 'light', 'dark' or 'system'
     getTheme: function() {
+      return document.documentElement.getAttribute('data-theme-preference') || getThemePreference();
+    },
+    // The theme shown: 'light' or 'dark'
+    getResolvedTheme: function() {
       return document.documentElement.getAttribute('data-theme') || THEME_LIGHT;
     },
+    // Switch to the opposite of the theme shown
     toggle: function() {
-      const currentTheme = this.getTheme();
+      const currentTheme = this.getResolvedTheme();
       setTheme(currentTheme === THEME_LIGHT ? THEME_DARK : THEME_LIGHT, true);
     },
+    // Call back with { preference, resolvedTheme, theme, isInitial } on every change, returns an unsubscribe function
+    subscribe: function(callback) {
+      subscribers.add(callback);
+      return function() {
+        subscribers.delete(callback);
+      };
+    },
     // Expose constants
     LIGHT: THEME_LIGHT,
-    DARK: THEME_DARK
+    DARK: THEME_DARK,
+    SYSTEM: THEME_SYSTEM
   };
 })();
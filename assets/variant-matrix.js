@@ -0,0 +1,184 @@
+/**
+ * Every variant of a product as a grid of quantity inputs, added to the cart in one `/cart/add` request.
+ *
+ * Cells are rendered by the `variant-matrix` snippet with the variant's price and volume pricing (`data-price-breaks`,
+ * `[minimum quantity, price]` pairs), so the summary shows the total at the price each quantity gets. Quantities follow
+ * the variant's quantity rules: 0, or at least the minimum, at most the maximum, in increments.
+ */
+if (!customElements.get('variant-matrix')) {
+  customElements.define(
+    'variant-matrix',
+    class VariantMatrix extends HTMLElement {
+      // bound once, however often the element is moved and reconnected
+      constructor() {
+        super();
+
+        this.addEventListener('input', (event) => {
+          if (event.target.matches('.variant-matrix__input')) this.update();
+        });
+        this.addEventListener('change', (event) => {
+          if (event.target.matches('.variant-matrix__input')) this.validate(event.target);
+        });
+        this.addEventListener('click', (event) => {
+          if (event.target.closest('.variant-matrix__submit')) this.onSubmit();
+        });
+      }
+
+      connectedCallback() {
+        this.submitButton = this.querySelector('.variant-matrix__submit');
+        this.errorElement = this.querySelector('.variant-matrix__error');
+        this.cart = document.querySelector('cart-notification') || document.querySelector('cart-drawer');
+
+        this.update();
+      }
+
+      get inputs() {
+        return Array.from(this.querySelectorAll('.variant-matrix__input:not([disabled])'));
+      }
+
+      get items() {
+        return this.inputs
+          .map((input) => ({ input, quantity: parseInt(input.value) || 0 }))
+          .filter(({ quantity }) => quantity > 0);
+      }
+
+      // the price of the largest break the quantity reaches
+      static getUnitPrice(input, quantity) {
+        const priceBreaks = JSON.parse(input.dataset.priceBreaks || '[]');
+        return priceBreaks.reduce(
+          (price, [minimum, breakPrice]) => (quantity >= minimum && breakPrice < price ? breakPrice : price),
+          parseInt(input.dataset.price)
+        );
+      }
+
+      getQuantityError(input) {
+        const value = Number(input.value || 0);
+        const min = parseInt(input.dataset.min);
+        const step = parseInt(input.step) || 1;
+        const strings = window.variantMatrixStrings;
+
+        if (value === 0) return null;
+        if (!Number.isInteger(value) || value < min) return strings.minError.replace('[min]', min);
+        if (input.max && value > parseInt(input.max)) return strings.maxError.replace('[max]', input.max);
+        if (value % step !== 0) return strings.stepError.replace('[step]', step);
+        return null;
+      }
+
+      validate(input) {
+        const error = this.getQuantityError(input);
+        input.setCustomValidity(error || '');
+        input.toggleAttribute('aria-invalid', Boolean(error));
+        if (error) input.reportValidity();
+        return !error;
+      }
+
+      update() {
+        const items = this.items;
+        const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+        const total = items.reduce(
+          (sum, item) => sum + VariantMatrix.getUnitPrice(item.input, item.quantity) * item.quantity,
+          0
+        );
+
+        this.inputs.forEach((input) => {
+          input.closest('.variant-matrix__cell').classList.toggle('variant-matrix__cell--selected', input.value > 0);
+        });
+
+        const strings = window.variantMatrixStrings;
+        this.querySelector('[data-summary]').textContent = (quantity === 1 ? strings.summaryOne : strings.summary)
+          .replace('[quantity]', quantity)
+          .replace('[total]', Shopify.formatMoney(total));
+        this.submitButton.toggleAttribute('disabled', quantity === 0);
+      }
+
+      async onSubmit() {
+        const items = this.items;
+        const invalid = items.find(({ input }) => !this.validate(input));
+        if (!items.length || invalid || this.submitButton.getAttribute('aria-disabled') === 'true') return;
+
+        this.setError();
+        this.setLoading(true);
+        const body = {
+          items: items.map(({ input, quantity }) => ({ id: Number(input.dataset.variantId), quantity })),
+        };
+        if (this.cart) {
+          body.sections = this.cart.getSectionsToRender().map((section) => section.id);
+          body.sections_url = window.location.pathname;
+          this.cart.setActiveElement(document.activeElement);
+        }
+
+        try {
+          const config = { ...fetchConfig('javascript'), body: JSON.stringify(body) };
+          const response = await fetch(routes.cart_add_url, config);
+          const state = await response.json();
+
+          if (state.status) {
+            publish(PUB_SUB_EVENTS.cartError, {
+              source: 'variant-matrix',
+              errors: state.errors || state.description,
+              message: state.message,
+            });
+            this.setError(state.description || state.message);
+            return;
+          }
+
+          const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+          this.reset();
+          const strings = window.variantMatrixStrings;
+          this.setStatus((quantity === 1 ? strings.addedOne : strings.added).replace('[quantity]', quantity));
+          publish(PUB_SUB_EVENTS.cartUpdate, { source: 'variant-matrix', cartData: state });
+
+          if (!this.cart) {
+            window.location = window.routes.cart_url;
+            return;
+          }
+          // the cart notification shows one line: the first one added
+          this.cart.renderContents({ ...state, key: state.items[0].key, id: state.items[0].id });
+          this.cart.classList.remove('is-empty');
+        } catch (error) {
+          if (!CartMutationQueue.isNetworkError(error)) {
+            console.error(error);
+            this.setError(window.cartStrings.error);
+            return;
+          }
+
+          const title = this.dataset.productTitle;
+          items.forEach(({ input, quantity }) =>
+            CartMutationQueue.enqueueAdd({
+              item: { id: Number(input.dataset.variantId), quantity },
+              title: `${title} - ${input.dataset.variantTitle}`,
+            })
+          );
+          this.reset();
+          this.setError(window.cartStrings.offlineQueued);
+        } finally {
+          this.setLoading(false);
+        }
+      }
+
+      reset() {
+        this.inputs.forEach((input) => {
+          input.value = 0;
+          input.setCustomValidity('');
+          input.removeAttribute('aria-invalid');
+        });
+        this.update();
+      }
+
+      setLoading(loading) {
+        this.submitButton.setAttribute('aria-disabled', loading);
+        this.submitButton.classList.toggle('loading', loading);
+        this.submitButton.querySelector('.loading__spinner').classList.toggle('hidden', !loading);
+      }
+
+      setError(message = '') {
+        this.errorElement.textContent = message;
+        this.errorElement.classList.toggle('hidden', !message);
+      }
+
+      setStatus(message) {
+        this.querySelector('[data-status]').textContent = message;
+      }
+    }
+  );
+}
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ * Style Audit CLI
+ * Runs the style and section debugger scans (assets/style-audit.js) on rendered storefront pages, saved HTML snapshots
+ * or URLs, and reports the issues as JSON, JUnit XML or Markdown. Exits with 1 when a page has issues in the failing
+ * categories; with --baseline (a previous JSON report), only when it has issues the baseline doesn't.
+ *
+ * Pages load in jsdom by default (npm install --no-save jsdom): linked stylesheets are fetched, scripts don't run.
+ * jsdom has no layout, so hidden elements are scanned too and inherited values can differ from a browser's. --browser
+ * loads pages in headless Chrome instead (npm install --no-save puppeteer), for the same results as the modal.
+ *
+ * Sizes, spacing and colors are checked against the theme's :root variables and, with --tokens, a token file like
+ * assets/style-debug-tokens.json. jsdom can't resolve var(), so without a browser the token file is all there is.
+ *
+ * Usage:
+ *   node scripts/style-audit-cli.js [options] <page.html|url>...
+ *
+ * Options:
+ *   --browser               Load pages in headless Chrome instead of jsdom
+ *   --base-url <url>        Where snapshots were saved from, to resolve relative and protocol-relative (//) links
+ *   --theme <light|dark>    Scan in this theme instead of the one the page was saved in
+ *   --format <formats>      Comma-separated: json, junit, markdown (default: json)
+ *   --out <dir>             Write style-audit.json, .xml and .md into the directory instead of to stdout
+ *   --baseline <file>       A previous JSON report: only issues it doesn't have fail
+ *   --fail-on <categories>  Comma-separated issue categories that fail (default: fontSize,color)
+ *   --tokens <file>         A JSON token file to check values against, besides the page's :root variables
+ *
+ * Example, failing a build on new font size and color issues:
+ *   node scripts/style-audit-cli.js --base-url https://shop.example --baseline audit/baseline.json \
+ *     --tokens assets/style-debug-tokens.json --format json,junit,markdown --out audit snapshots/*.html
+ *
+ * scripts/fixtures/style-audit-page.html is a page with one off-scale font size, to check the audit still finds it:
+ *   node scripts/style-audit-cli.js --tokens assets/style-debug-tokens.json scripts/fixtures/style-audit-page.html
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const StyleAudit = require('../assets/style-audit.js');
+
+const CORE_PATH = path.join(__dirname, '..', 'assets', 'style-audit.js');
+const FILENAMES = {
+  json: 'style-audit.json',
+  junit: 'style-audit.xml',
+  markdown: 'style-audit.md'
+};
+const THEMES = ['light', 'dark'];
+const USAGE = 'Usage: node scripts/style-audit-cli.js [--browser] [--base-url <url>] [--theme <light|dark>] ' +
+  '[--format json,junit,markdown] [--out <dir>] [--baseline <file>] [--fail-on <categories>] [--tokens <file>] ' +
+  '<page.html|url>...';
+
+function parseArgs(argv) {
+  const options = {
+    browser: false,
+    baseUrl: null,
+    theme: null,
+    formats: ['json'],
+    out: null,
+    baseline: null,
+    failOn: ['fontSize', 'color'],
+    tokens: null,
+    pages: []
+  };
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--browser': options.browser = true; break;
+      case '--base-url': options.baseUrl = value(); break;
+      case '--theme': options.theme = value(); break;
+      case '--format': options.formats = list(value()); break;
+      case '--out': options.out = value(); break;
+      case '--baseline': options.baseline = value(); break;
+      case '--fail-on': options.failOn = list(value()); break;
+      case '--tokens': options.tokens = value(); break;
+      case '--help':
+      case '-h': options.help = true; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.pages.push(arg);
+    }
+  }
+
+  const unknownFormat = options.formats.find(format => !FILENAMES[format]);
+  if (unknownFormat) throw new Error(`Unknown format ${unknownFormat}, expected ${Object.keys(FILENAMES).join(', ')}`);
+  const unknownCategory = options.failOn.find(category => !StyleAudit.CATEGORIES.includes(category));
+  if (unknownCategory) {
+    throw new Error(`Unknown category ${unknownCategory}, expected ${StyleAudit.CATEGORIES.join(', ')}`);
+  }
+  if (options.theme && !THEMES.includes(options.theme)) throw new Error(`--theme is light or dark`);
+  if (options.formats.length > 1 && !options.out) throw new Error('Several formats need --out');
+  if (!options.help && !options.pages.length) throw new Error('No pages to audit');
+
+  return options;
+}
+
+// jsdom and puppeteer aren't dependencies of the theme, they're installed where the audit runs
+function requireOptional(name) {
+  try {
+    return require(name);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') throw new Error(`${name} is not installed: npm install --no-save ${name}`);
+    throw error;
+  }
+}
+
+function isUrl(page) {
+  return /^https?:\/\//.test(page);
+}
+
+// A <base> for snapshots, so their links resolve against the store rather than the file system
+function withBase(html, baseUrl) {
+  if (!baseUrl || /<base\s/i.test(html)) return html;
+  return html.replace(/<head[^>]*>/i, match => `${match}<base href="${baseUrl}">`);
+}
+
+// Scanned in the page: set the theme without transitions, so computed colors are final
+function prepareDocument(doc, theme) {
+  if (!theme) return;
+  doc.documentElement.classList.remove('theme-ready');
+  doc.documentElement.setAttribute('data-theme', theme);
+}
+
+async function auditWithJsdom(pages, { baseUrl, theme, tokenFile }) {
+  const { JSDOM, VirtualConsole } = requireOptional('jsdom');
+  const results = [];
+
+  for (const page of pages) {
+    // the storefront's CSS uses syntax jsdom can't parse; that isn't an audit result
+    const options = { resources: 'usable', pretendToBeVisual: true, virtualConsole: new VirtualConsole() };
+    const url = baseUrl || pathToFileURL(path.resolve(page)).href;
+    const dom = isUrl(page)
+      ? await JSDOM.fromURL(page, options)
+      : new JSDOM(fs.readFileSync(page, 'utf8'), { ...options, url });
+    const { window } = dom;
+
+    if (window.document.readyState !== 'complete') {
+      await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    prepareDocument(window.document, theme);
+    results.push({ page, ...StyleAudit.auditDocument(window.document, { tokenFile }) });
+    window.close();
+  }
+
+  return results;
+}
+
+async function auditWithBrowser(pages, { baseUrl, theme, tokenFile }) {
+  const puppeteer = requireOptional('puppeteer');
+  const browser = await puppeteer.launch({ headless: true });
+  const results = [];
+
+  try {
+    for (const page of pages) {
+      const tab = await browser.newPage();
+      await tab.setViewport({ width: 1440, height: 900 });
+      if (isUrl(page)) {
+        await tab.goto(page, { waitUntil: 'load' });
+      } else {
+        await tab.setContent(withBase(fs.readFileSync(page, 'utf8'), baseUrl), { waitUntil: 'load' });
+      }
+      await tab.addScriptTag({ path: CORE_PATH });
+
+      await tab.evaluate(prepareDocument, await tab.evaluateHandle(() => document), theme);
+      const audit = await tab.evaluate(
+        file => window.StyleAudit.auditDocument(document, { tokenFile: file }),
+        tokenFile
+      );
+      results.push({ page, ...audit });
+      await tab.close();
+    }
+  } finally {
+    await browser.close();
+  }
+
+  return results;
+}
+
+function readTokens(file) {
+  const tokens = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) throw new Error(`${file} is not a token file`);
+  return tokens;
+}
+
+function readBaseline(file) {
+  const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(baseline.pages)) throw new Error(`${file} is not a style audit JSON report`);
+  return baseline;
+}
+
+// Issues per page, compared with the baseline when there is one
+function buildReport(results, { baseline, baselineFile, failOn }) {
+  const pages = results.map(result => {
+    const previous = baseline && baseline.pages.find(page => page.page === result.page);
+    const diff = baseline ? StyleAudit.diffIssues(previous ? previous.issues : [], result.issues) : null;
+    const failing = (diff ? diff.new : result.issues).filter(issue => failOn.includes(issue.category));
+
+    return {
+      page: result.page,
+      title: result.title,
+      theme: result.theme,
+      passed: failing.length === 0,
+      failing: failing.map(issue => issue.key),
+      issues: result.issues,
+      diff: diff && { new: diff.new, fixed: diff.fixed, unchanged: diff.unchanged.length },
+      scan: result.scan,
+      sections: result.sections
+    };
+  });
+
+  return {
+    generated: new Date().toISOString(),
+    baseline: baselineFile || null,
+    failOn,
+    passed: pages.every(page => page.passed),
+    pages
+  };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, character => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;'
+  })[character]);
+}
+
+function describeIssue(issue) {
+  const elements = issue.elements.length ? ` (${issue.elements.join(', ')})` : '';
+  return `${issue.value}: ${issue.detail}${elements}`;
+}
+
+// One test suite per page, one test case per issue category
+function formatJunit(report) {
+  const suites = report.pages.map(page => {
+    const cases = StyleAudit.CATEGORIES.map(category => {
+      const issues = page.issues.filter(issue => issue.category === category);
+      const failing = issues.filter(issue => page.failing.includes(issue.key));
+      const name = `${category} (${issues.length} issues)`;
+
+      if (failing.length) {
+        const message = `${failing.length} ${page.diff ? 'new ' : ''}${category} issues`;
+        const details = escapeXml(failing.map(describeIssue).join('\n'));
+        return `    <testcase classname="${escapeXml(page.page)}" name="${escapeXml(name)}">\n` +
+          `      <failure message="${escapeXml(message)}">${details}</failure>\n` +
+          '    </testcase>';
+      }
+      if (issues.length) {
+        return `    <testcase classname="${escapeXml(page.page)}" name="${escapeXml(name)}">\n` +
+          `      <system-out>${escapeXml(issues.map(describeIssue).join('\n'))}</system-out>\n` +
+          '    </testcase>';
+      }
+      return `    <testcase classname="${escapeXml(page.page)}" name="${escapeXml(name)}"/>`;
+    });
+    const failures = StyleAudit.CATEGORIES.filter(category =>
+      page.issues.some(issue => issue.category === category && page.failing.includes(issue.key))
+    ).length;
+
+    return `  <testsuite name="${escapeXml(page.page)}" tests="${cases.length}" failures="${failures}">\n` +
+      cases.join('\n') + '\n  </testsuite>';
+  });
+
+  // totals of the suites: one test case per category on every page
+  const tests = report.pages.length * StyleAudit.CATEGORIES.length;
+  const failures = report.pages.reduce((sum, page) =>
+    sum + StyleAudit.CATEGORIES.filter(category =>
+      page.issues.some(issue => issue.category === category && page.failing.includes(issue.key))
+    ).length, 0);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="style-audit" tests="${tests}" failures="${failures}">\n` +
+    suites.join('\n') + '\n</testsuites>\n';
+}
+
+function formatMarkdown(report) {
+  const lines = [];
+  const issueLine = issue => `- **${issue.category}** \`${issue.value}\` ${issue.detail}` +
+    (issue.elements.length ? ` (${issue.elements.map(element => `\`${element}\``).join(', ')})` : '');
+
+  lines.push('# Style audit');
+  lines.push('');
+  lines.push(`${report.passed ? 'Passed' : '**Failed**'}: ${report.pages.length} pages, failing on ` +
+    `${report.failOn.join(', ')}${report.baseline ? `, compared with \`${report.baseline}\`` : ''}.`);
+
+  report.pages.forEach(page => {
+    lines.push('');
+    lines.push(`## ${page.passed ? '✓' : '⚠'} ${page.title || page.page}`);
+    lines.push('');
+    lines.push(`\`${page.page}\`, ${page.theme} theme`);
+    lines.push('');
+    lines.push(page.diff ? '| Category | Issues | New | Fixed |' : '| Category | Issues |');
+    lines.push(page.diff ? '| --- | ---: | ---: | ---: |' : '| --- | ---: |');
+    StyleAudit.CATEGORIES.forEach(category => {
+      const count = list => list.filter(issue => issue.category === category).length;
+      lines.push(page.diff
+        ? `| ${category} | ${count(page.issues)} | ${count(page.diff.new)} | ${count(page.diff.fixed)} |`
+        : `| ${category} | ${count(page.issues)} |`);
+    });
+
+    const failing = page.issues.filter(issue => page.failing.includes(issue.key));
+    if (failing.length) {
+      lines.push('');
+      lines.push(page.diff ? '### New issues' : '### Failing issues');
+      lines.push('');
+      failing.forEach(issue => lines.push(issueLine(issue)));
+    }
+    if (page.diff && page.diff.fixed.length) {
+      lines.push('');
+      lines.push('### Fixed issues');
+      lines.push('');
+      page.diff.fixed.forEach(issue => lines.push(issueLine(issue)));
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+const FORMATTERS = {
+  json: report => JSON.stringify(report, null, 2) + '\n',
+  junit: formatJunit,
+  markdown: formatMarkdown
+};
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const baseline = options.baseline ? readBaseline(options.baseline) : null;
+  const audit = options.browser ? auditWithBrowser : auditWithJsdom;
+  const tokenFile = options.tokens ? readTokens(options.tokens) : null;
+  const results = await audit(options.pages, { ...options, tokenFile });
+  const report = buildReport(results, { baseline, baselineFile: options.baseline, failOn: options.failOn });
+
+  if (options.out) {
+    fs.mkdirSync(options.out, { recursive: true });
+    options.formats.forEach(format => {
+      fs.writeFileSync(path.join(options.out, FILENAMES[format]), FORMATTERS[format](report));
+    });
+  } else {
+    process.stdout.write(FORMATTERS[options.formats[0]](report));
+  }
+
+  report.pages.forEach(page => {
+    console.error(`${page.passed ? 'pass' : 'FAIL'} ${page.page}: ${page.issues.length} issues` +
+      (page.diff ? `, ${page.diff.new.length} new, ${page.diff.fixed.length} fixed` : ''));
+  });
+  return report.passed ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = { buildReport, formatJunit, formatMarkdown };